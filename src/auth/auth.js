@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('./jwt');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.@-]{0,99}$/;
+const PERMISSIONS = ['read', 'write', 'configure', 'admin'];
+
+// read: read, browse, subscribe; write: write, register, call, connect; configure: tags and certificates; admin: users and API keys
+const DEFAULT_ROLES = {
+  viewer: ['read'],
+  operator: ['read', 'write'],
+  engineer: ['read', 'write', 'configure', 'admin']
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Password hash as "scrypt:<salt>:<hash>" (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt:${salt.toString('hex')}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function checkPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the user does not exist, so unknown names take as long as wrong passwords
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * API authentication
+ *
+ * Users log in with name and password for a JWT bearer token, machines use API keys (X-API-Key).
+ * Each user and key has a role; roles grant permissions (read, write, configure, admin).
+ * Users, keys and extra roles are stored in AUTH_FILE ({ "users": [...], "apiKeys": [...], "roles": {...} })
+ * and managed through /api/auth; AUTH_ADMIN_KEY is an engineer key for the first setup and automation.
+ */
+class AuthManager {
+  constructor() {
+    this.enabled = true;
+    this.users = new Map(); // Map<name, { name, role, passwordHash, createdAt }>
+    this.apiKeys = new Map(); // Map<sha256 of the key, { id, name, role, hash, createdAt }>
+    this.roles = { ...DEFAULT_ROLES };
+    this.customRoles = {};
+    this.file = null;
+    this.secret = null;
+    this.tokenTtl = 28800;
+    this.adminKeyHash = null;
+  }
+
+  /**
+   * Read the settings and the auth file (missing file = no users and keys)
+   * Throws on an invalid file, so a typo is not overwritten by the next change
+   */
+  load() {
+    this.enabled = process.env.AUTH_ENABLED !== 'false';
+    this.file = path.resolve(process.env.AUTH_FILE || 'data/auth.json');
+    this.tokenTtl = Number(process.env.AUTH_TOKEN_TTL || 28800);
+    this.adminKeyHash = process.env.AUTH_ADMIN_KEY ? sha256(process.env.AUTH_ADMIN_KEY) : null;
+    this.secret = process.env.AUTH_JWT_SECRET || null;
+    this.users = new Map();
+    this.apiKeys = new Map();
+    this.roles = { ...DEFAULT_ROLES };
+    this.customRoles = {};
+
+    if (!this.enabled) {
+      logger.warn('Authentication is disabled (AUTH_ENABLED=false): every client can read and write');
+      return;
+    }
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('AUTH_JWT_SECRET is not set: using a random secret, tokens become invalid on restart');
+    }
+
+    if (fs.existsSync(this.file)) {
+      try {
+        const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.customRoles = this.parseRoles(content.roles || {});
+        Object.assign(this.roles, this.customRoles);
+        (content.users || []).forEach(user => this.addUser(this.parseUser(user)));
+        (content.apiKeys || []).forEach(key => this.addApiKey(this.parseApiKey(key)));
+      } catch (err) {
+        throw new Error(`Cannot read auth file ${this.file}: ${err.message}`);
+      }
+    }
+
+    if (this.users.size === 0 && this.apiKeys.size === 0 && !this.adminKeyHash) {
+      logger.warn('Authentication is enabled but no users or API keys exist: set AUTH_ADMIN_KEY to create them');
+    }
+    logger.info(`Authentication: ${this.users.size} user(s), ${this.apiKeys.size} API key(s) loaded from ${this.file}`);
+  }
+
+  /**
+   * Write the auth file, through a temporary file so a crash never leaves half a file
+   */
+  save() {
+    const content = {
+      roles: this.customRoles,
+      users: Array.from(this.users.values()),
+      apiKeys: Array.from(this.apiKeys.values())
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(`${this.file}.tmp`, `${JSON.stringify(content, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * Roles of the auth file: { "<role>": ["read", "write", ...] }, may redefine the default roles
+   */
+  parseRoles(roles) {
+    if (typeof roles !== 'object' || Array.isArray(roles)) {
+      throw new Error('roles must be an object of permission lists');
+    }
+    for (const [role, permissions] of Object.entries(roles)) {
+      if (!NAME_PATTERN.test(role) || !Array.isArray(permissions) || permissions.some(p => !PERMISSIONS.includes(p))) {
+        throw new Error(`role ${role} must be a list of permissions (${PERMISSIONS.join(', ')})`);
+      }
+    }
+    return roles;
+  }
+
+  checkRole(role) {
+    if (!Object.prototype.hasOwnProperty.call(this.roles, role)) {
+      throw new ApiError(400, `role must be one of ${Object.keys(this.roles).join(', ')}`);
+    }
+  }
+
+  checkName(name, kind) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new ApiError(400, `${kind} name must be 1-100 characters of letters, digits, _ . @ -`);
+    }
+  }
+
+  parseUser(user) {
+    this.checkName(user.name, 'User');
+    this.checkRole(user.role);
+    if (typeof user.passwordHash !== 'string' || !user.passwordHash.startsWith('scrypt:')) {
+      throw new ApiError(400, `passwordHash of user ${user.name} must be an scrypt hash`);
+    }
+    return { name: user.name, role: user.role, passwordHash: user.passwordHash, createdAt: user.createdAt || null };
+  }
+
+  parseApiKey(key) {
+    this.checkName(key.name, 'API key');
+    this.checkRole(key.role);
+    if (typeof key.hash !== 'string' || !/^[0-9a-f]{64}$/.test(key.hash)) {
+      throw new ApiError(400, `hash of API key ${key.name} must be the SHA-256 of the key (hex)`);
+    }
+    return { id: key.id || key.hash.slice(0, 12), name: key.name, role: key.role, hash: key.hash, createdAt: key.createdAt || null };
+  }
+
+  addUser(user) {
+    if (this.users.has(user.name)) {
+      throw new ApiError(409, `User already exists: ${user.name}`);
+    }
+    this.users.set(user.name, user);
+  }
+
+  addApiKey(key) {
+    if (Array.from(this.apiKeys.values()).some(existing => existing.id === key.id)) {
+      throw new ApiError(409, `API key already exists: ${key.id}`);
+    }
+    this.apiKeys.set(key.hash, key);
+  }
+
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new ApiError(400, 'password must be at least 8 characters');
+    }
+  }
+
+  /**
+   * Identity of a request: { type, name, role, permissions }
+   * bearer is the token of "Authorization: Bearer", apiKey the X-API-Key header; throws ApiError 401
+   */
+  authenticate({ bearer, apiKey }) {
+    if (apiKey) {
+      const hash = sha256(apiKey);
+      if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.adminKeyHash))) {
+        return this.identity('key', 'AUTH_ADMIN_KEY', 'engineer');
+      }
+      const key = this.apiKeys.get(hash);
+      if (!key) {
+        throw new ApiError(401, 'Invalid API key');
+      }
+      return this.identity('key', key.name, key.role);
+    }
+
+    if (bearer) {
+      const payload = jwt.verify(bearer, this.secret);
+      const user = this.users.get(payload.sub);
+      if (!user) {
+        throw new ApiError(401, 'User of the token no longer exists');
+      }
+      // The current role counts, so role changes apply to tokens issued before
+      return this.identity('user', user.name, user.role);
+    }
+
+    throw new ApiError(401, 'Authentication required (Authorization: Bearer <token> or X-API-Key)');
+  }
+
+  identity(type, name, role) {
+    return { type, name, role, permissions: this.roles[role] || [] };
+  }
+
+  /**
+   * Issue a token for a user name and password
+   */
+  login(name, password) {
+    if (!this.enabled) {
+      throw new ApiError(409, 'Authentication is disabled (AUTH_ENABLED=false)');
+    }
+    const user = typeof name === 'string' ? this.users.get(name) : null;
+    const valid = checkPassword(String(password || ''), user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) {
+      logger.warn(`Login failed: ${name}`);
+      throw new ApiError(401, 'Invalid user name or password');
+    }
+
+    logger.info(`Login: ${user.name} (${user.role})`);
+    return {
+      token: jwt.sign({ sub: user.name, role: user.role }, this.secret, this.tokenTtl),
+      expiresAt: new Date(Date.now() + this.tokenTtl * 1000).toISOString(),
+      user: { name: user.name, role: user.role }
+    };
+  }
+
+  getRoles() {
+    return Object.entries(this.roles).map(([role, permissions]) => ({ role, permissions }));
+  }
+
+  listUsers() {
+    return Array.from(this.users.values())
+      .map(({ name, role, createdAt }) => ({ name, role, createdAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getUser(name) {
+    const user = this.users.get(name);
+    if (!user) {
+      throw new ApiError(404, `User not found: ${name}`);
+    }
+    return user;
+  }
+
+  createUser({ name, password, role }) {
+    this.checkName(name, 'User');
+    this.checkRole(role);
+    this.checkPassword(password);
+
+    const user = { name, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+    this.addUser(user);
+    this.save();
+    logger.info(`User created: ${name} (${role})`);
+    return { name, role, createdAt: user.createdAt };
+  }
+
+  /**
+   * Change the role and/or password of a user
+   */
+  updateUser(name, { password, role }) {
+    const user = this.getUser(name);
+    if (role !== undefined) {
+      this.checkRole(role);
+    }
+    if (password !== undefined) {
+      this.checkPassword(password);
+    }
+
+    this.users.set(name, {
+      ...user,
+      role: role === undefined ? user.role : role,
+      passwordHash: password === undefined ? user.passwordHash : hashPassword(password)
+    });
+    this.save();
+    logger.info(`User updated: ${name}`);
+    return { name, role: this.users.get(name).role, createdAt: user.createdAt };
+  }
+
+  deleteUser(name) {
+    const user = this.getUser(name);
+    this.users.delete(name);
+    this.save();
+    logger.info(`User deleted: ${name}`);
+    return { name, role: user.role, createdAt: user.createdAt };
+  }
+
+  listApiKeys() {
+    return Array.from(this.apiKeys.values())
+      .map(({ id, name, role, createdAt }) => ({ id, name, role, createdAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create an API key, the key itself is only returned here (the file stores its SHA-256)
+   */
+  createApiKey({ name, role }) {
+    this.checkName(name, 'API key');
+    this.checkRole(role);
+
+    const apiKey = `opk_${crypto.randomBytes(24).toString('base64url')}`;
+    const hash = sha256(apiKey);
+    const key = { id: hash.slice(0, 12), name, role, hash, createdAt: new Date().toISOString() };
+    this.addApiKey(key);
+    this.save();
+    logger.info(`API key created: ${key.id} ${name} (${role})`);
+    return { id: key.id, name, role, createdAt: key.createdAt, apiKey };
+  }
+
+  deleteApiKey(id) {
+    const key = Array.from(this.apiKeys.values()).find(existing => existing.id === id);
+    if (!key) {
+      throw new ApiError(404, `API key not found: ${id}`);
+    }
+    this.apiKeys.delete(key.hash);
+    this.save();
+    logger.info(`API key deleted: ${id} ${key.name}`);
+    return { id, name: key.name, role: key.role, createdAt: key.createdAt };
+  }
+}
+
+// Singleton instance
+const auth = new AuthManager();
+
+module.exports = auth;
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/errors');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest();
+
+/**
+ * Sign a JWT (HS256) with iat and exp (ttl in seconds) added to the payload
+ */
+function sign(payload, secret, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttl })).toString('base64url');
+  const signature = hmac(`${HEADER}.${body}`, secret).toString('base64url');
+  return `${HEADER}.${body}.${signature}`;
+}
+
+/**
+ * Verify a JWT (HS256 only) and return its payload, throws ApiError 401 when invalid or expired
+ */
+function verify(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new ApiError(401, 'Invalid token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new ApiError(401, 'Invalid token');
+  }
+  if (!header || header.alg !== 'HS256') {
+    throw new ApiError(401, 'Invalid token: only HS256 is accepted');
+  }
+
+  const expected = hmac(`${parts[0]}.${parts[1]}`, secret);
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new ApiError(401, 'Invalid token signature');
+  }
+  if (!payload || typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new ApiError(401, 'Token expired');
+  }
+  return payload;
+}
+
+module.exports = { sign, verify };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sign, verify } = require('./jwt');
+
+const SECRET = 'test-secret';
+
+const unauthorized = (fn, message) => assert.throws(fn, error => error.status === 401 && message.test(error.message));
+
+test('verify returns the payload of a signed token', () => {
+  const payload = verify(sign({ sub: 'alice', role: 'viewer' }, SECRET, 60), SECRET);
+  assert.strictEqual(payload.sub, 'alice');
+  assert.strictEqual(payload.exp - payload.iat, 60);
+});
+
+test('verify rejects another secret and a changed payload', () => {
+  const token = sign({ sub: 'alice' }, SECRET, 60);
+  unauthorized(() => verify(token, 'other'), /signature/);
+
+  const [header, , signature] = token.split('.');
+  const body = Buffer.from(JSON.stringify({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  unauthorized(() => verify(`${header}.${body}.${signature}`, SECRET), /signature/);
+});
+
+test('verify rejects expired tokens', () => {
+  unauthorized(() => verify(sign({ sub: 'alice' }, SECRET, -1), SECRET), /expired/);
+});
+
+test('verify accepts HS256 only', () => {
+  const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify({ sub: 'alice', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  unauthorized(() => verify(`${header}.${body}.`, SECRET), /HS256/);
+});
+
+test('verify rejects malformed tokens', () => {
+  unauthorized(() => verify('abc', SECRET), /Invalid token/);
+  unauthorized(() => verify('a.b.c', SECRET), /Invalid token/);
+});
@@ -0,0 +1,107 @@
+const auth = require('./auth');
+const logger = require('../utils/logger');
+
+/**
+ * Permission needed per route (method, path below /api), first match wins
+ * Routes not listed need admin, so a new route is closed until it is added here
+ */
+const ROUTE_PERMISSIONS = [
+  ['GET', /^\/test-cors$/, null],
+  ['POST', /^\/auth\/login$/, null],
+  ['GET', /^\/auth\/me$/, 'authenticated'],
+  ['*', /^\/auth\//, 'admin'],
+
+  // Before the generic GET rule: the catalog and certificates are configuration, also for reading
+  ['*', /^\/opcua\/tags(\/|$)/, 'configure'],
+  ['*', /^\/opcua\/pki\//, 'configure'],
+
+  ['GET', /^\/opcua\//, 'read'],
+  ['POST', /^\/opcua\/(read|read-multiple|history-read|translate|search|read-registered)$/, 'read'],
+  ['POST', /^\/opcua\/browse(\/tree|\/export)?$/, 'read'],
+  ['POST', /^\/opcua\/(subscribe|subscribe-registered|events\/subscribe|subscriptions)$/, 'read'],
+
+  // discover opens a connection to any URL the caller gives, like connect
+  ['POST', /^\/opcua\/(connect|disconnect|discover|write|write-multiple|write-registered|register|unregister|call)$/, 'write'],
+  ['POST', /^\/opcua\/(alarms\/[^/]+|index\/refresh|history\/record)$/, 'write'],
+  // Removing a subscription or changing its items or settings affects everyone attached to it
+  ['POST', /^\/opcua\/unsubscribe$/, 'write'],
+  ['POST', /^\/opcua\/subscriptions\/[^/]+\/(items|items\/remove|settings)$/, 'write']
+];
+
+/**
+ * Permission a request needs (null = public, 'authenticated' = any valid credentials)
+ */
+function requiredPermission(method, path) {
+  const rule = ROUTE_PERMISSIONS.find(([ruleMethod, pattern]) => (ruleMethod === '*' || ruleMethod === method) && pattern.test(path));
+  return rule ? rule[2] : 'admin';
+}
+
+/**
+ * Credentials of a request: "Authorization: Bearer <token>" and "X-API-Key: <key>",
+ * or the access_token query parameter where headers cannot be set (EventSource, browser WebSockets)
+ */
+function credentials(req, allowQuery) {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const apiKey = req.headers['x-api-key'] || null;
+  if (bearer || apiKey || !allowQuery) {
+    return { bearer, apiKey };
+  }
+
+  const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  if (!token) {
+    return {};
+  }
+  return token.startsWith('opk_') ? { apiKey: token } : { bearer: token };
+}
+
+/**
+ * Express middleware for /api: authenticate the request (req.auth) and check the permission of its role
+ */
+function authorize(req, res, next) {
+  if (!auth.enabled) {
+    return next();
+  }
+
+  const permission = requiredPermission(req.method, req.path);
+  if (permission === null) {
+    return next();
+  }
+
+  try {
+    req.auth = auth.authenticate(credentials(req, req.method === 'GET' && req.path === '/opcua/stream'));
+  } catch (error) {
+    logger.warn(`Unauthorized ${req.method} ${req.originalUrl}: ${error.message}`);
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(error.status || 401).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (permission !== 'authenticated' && !req.auth.permissions.includes(permission)) {
+    logger.warn(`Forbidden ${req.method} ${req.originalUrl} for ${req.auth.name} (${req.auth.role})`);
+    return res.status(403).json({
+      success: false,
+      error: `Role ${req.auth.role} may not call ${req.method} ${req.baseUrl}${req.path} (needs ${permission} permission)`
+    });
+  }
+  next();
+}
+
+/**
+ * Authenticate a WebSocket upgrade request (read permission), returns an error message or null
+ */
+function authorizeUpgrade(req) {
+  if (!auth.enabled) {
+    return null;
+  }
+  try {
+    const identity = auth.authenticate(credentials(req, true));
+    return identity.permissions.includes('read') ? null : `Role ${identity.role} may not stream subscriptions`;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+module.exports = { authorize, authorizeUpgrade };
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.AUTH_ENABLED = 'true';
+process.env.AUTH_FILE = path.join(dir, 'auth.json');
+process.env.AUTH_ADMIN_KEY = 'admin-secret';
+process.env.AUTH_JWT_SECRET = 'jwt-secret';
+
+const auth = require('./auth');
+const { authorize, authorizeUpgrade } = require('./middleware');
+
+auth.load();
+const viewerKey = auth.createApiKey({ name: 'viewer', role: 'viewer' }).apiKey;
+const operatorKey = auth.createApiKey({ name: 'operator', role: 'operator' }).apiKey;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Run authorize() for a request below /api, returns the response status (200 when next() was called)
+ */
+function call(method, url, headers = {}) {
+  const [requestPath] = url.split('?');
+  const req = { method, url, path: requestPath, originalUrl: `/api${url}`, baseUrl: '/api', headers };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  authorize(req, res, () => { passed = true; });
+  assert.strictEqual(passed, res.statusCode === 200);
+  return res;
+}
+
+const as = (key) => ({ 'x-api-key': key });
+
+test('public routes need no credentials', () => {
+  assert.strictEqual(call('POST', '/auth/login').statusCode, 200);
+});
+
+test('missing or unknown credentials are 401 with a Bearer challenge', () => {
+  const res = call('GET', '/opcua/status');
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.headers['WWW-Authenticate'], 'Bearer');
+  assert.strictEqual(call('GET', '/opcua/status', as('opk_unknown')).statusCode, 401);
+  assert.strictEqual(call('GET', '/opcua/status', { authorization: 'Bearer a.b.c' }).statusCode, 401);
+});
+
+test('viewers may read but not change anything', () => {
+  assert.strictEqual(call('GET', '/opcua/status', as(viewerKey)).statusCode, 200);
+  assert.strictEqual(call('POST', '/opcua/read', as(viewerKey)).statusCode, 200);
+  assert.strictEqual(call('POST', '/opcua/subscribe', as(viewerKey)).statusCode, 200);
+  for (const url of ['/opcua/write', '/opcua/unsubscribe', '/opcua/discover', '/opcua/connect', '/opcua/subscriptions/s1/settings']) {
+    const res = call('POST', url, as(viewerKey));
+    assert.strictEqual(res.statusCode, 403, url);
+    assert.match(res.body.error, /needs write permission/);
+  }
+});
+
+test('operators may write but not configure', () => {
+  assert.strictEqual(call('POST', '/opcua/unsubscribe', as(operatorKey)).statusCode, 200);
+  assert.strictEqual(call('POST', '/opcua/discover', as(operatorKey)).statusCode, 200);
+  assert.strictEqual(call('GET', '/opcua/tags', as(operatorKey)).statusCode, 403);
+  assert.strictEqual(call('GET', '/opcua/pki/certificates', as(operatorKey)).statusCode, 403);
+  assert.strictEqual(call('GET', '/auth/keys', as(operatorKey)).statusCode, 403);
+});
+
+test('the admin key and bearer tokens authenticate', () => {
+  assert.strictEqual(call('GET', '/opcua/tags', as('admin-secret')).statusCode, 200);
+  assert.strictEqual(call('GET', '/auth/keys', as('admin-secret')).statusCode, 200);
+
+  auth.createUser({ name: 'alice', password: 'alice-password', role: 'operator' });
+  const bearer = { authorization: `Bearer ${auth.login('alice', 'alice-password').token}` };
+  assert.strictEqual(call('GET', '/auth/me', bearer).statusCode, 200);
+  assert.strictEqual(call('POST', '/opcua/write', bearer).statusCode, 200);
+  assert.strictEqual(call('GET', '/opcua/tags', bearer).statusCode, 403);
+});
+
+test('routes that are not listed need admin', () => {
+  assert.strictEqual(call('POST', '/opcua/something-new', as(operatorKey)).statusCode, 403);
+});
+
+test('the stream and WebSocket upgrades accept the access_token query parameter', () => {
+  assert.strictEqual(call('GET', `/opcua/stream?access_token=${viewerKey}`).statusCode, 200);
+  assert.strictEqual(call('GET', `/opcua/status?access_token=${viewerKey}`).statusCode, 401);
+  assert.strictEqual(authorizeUpgrade({ url: `/ws?access_token=${viewerKey}`, headers: {} }), null);
+  assert.ok(authorizeUpgrade({ url: '/ws', headers: {} }));
+});
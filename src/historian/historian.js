@@ -0,0 +1,503 @@
+const fs = require('fs');
+const path = require('path');
+const connections = require('../opcua/connections');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLUSH_INTERVAL = 1000;
+const MAINTENANCE_INTERVAL = 60 * 60 * 1000;
+const MAX_RAW_VALUES = 10000;
+
+const AGGREGATES = ['raw', 'avg', 'min', 'max', 'count', 'first', 'last'];
+
+/**
+ * Embedded historian
+ *
+ * Stores every change of the chosen subscriptions in append-only JSON Lines files:
+ *   <HISTORIAN_DIR>/<encoded connection>/<encoded nodeId>/<YYYY-MM-DD>.jsonl      raw values { t, v, s? }
+ *   <HISTORIAN_DIR>/<encoded connection>/<encoded nodeId>/<YYYY-MM-DD>.ds.jsonl   downsampled { t, v, min?, max?, n }
+ * The connection is its name or endpoint, the nodeId the original one (not the id of a registered node),
+ * so the history of a node survives reconnects and nodes of different PLCs are kept apart.
+ * Days older than the retention are deleted, days older than the downsampling
+ * age are replaced by one record per downsampling interval.
+ */
+class Historian {
+  constructor() {
+    this.enabled = false;
+    this.recording = new Set(); // subscriptionIds whose changes are stored
+    this.buffer = new Map(); // Map<file, lines[]> waiting to be appended
+    this.queue = Promise.resolve(); // Serializes file writes and maintenance
+    this.timers = [];
+    this.onChange = this.onChange.bind(this);
+  }
+
+  /**
+   * Read the configuration and start recording (no-op unless HISTORIAN_ENABLED=true)
+   */
+  start() {
+    this.enabled = process.env.HISTORIAN_ENABLED === 'true';
+    if (!this.enabled) {
+      return;
+    }
+
+    this.dir = path.resolve(process.env.HISTORIAN_DIR || 'data/historian');
+    this.retentionDays = Number(process.env.HISTORIAN_RETENTION_DAYS || 30);
+    this.downsampleAfterDays = Number(process.env.HISTORIAN_DOWNSAMPLE_AFTER_DAYS || 7);
+    this.downsampleInterval = Number(process.env.HISTORIAN_DOWNSAMPLE_INTERVAL || 60000);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    connections.on('change', this.onChange);
+
+    this.timers.push(setInterval(() => {
+      this.prune();
+      this.flush();
+    }, FLUSH_INTERVAL));
+    this.timers.push(setInterval(() => this.maintain(), MAINTENANCE_INTERVAL));
+    this.timers.forEach(timer => timer.unref());
+    this.maintain();
+
+    logger.info(`Historian enabled: ${this.dir} (retention ${this.retentionDays} days, downsampling after ${this.downsampleAfterDays} days to ${this.downsampleInterval} ms)`);
+  }
+
+  /**
+   * Flush pending values and stop recording (used on shutdown)
+   */
+  async stop() {
+    if (!this.enabled) {
+      return;
+    }
+    connections.off('change', this.onChange);
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    await this.flush();
+  }
+
+  ensureEnabled() {
+    if (!this.enabled) {
+      throw new ApiError(409, 'Historian is disabled (set HISTORIAN_ENABLED=true)');
+    }
+  }
+
+  /**
+   * Start or stop storing the changes of a subscription
+   */
+  setRecording(subscriptionId, enabled = true) {
+    this.ensureEnabled();
+
+    if (enabled) {
+      if (!connections.hasSubscription(subscriptionId)) {
+        throw new ApiError(404, `Subscription not found: ${subscriptionId}`);
+      }
+      this.recording.add(subscriptionId);
+    } else {
+      this.recording.delete(subscriptionId);
+    }
+
+    logger.info(`Historian recording ${enabled ? 'started' : 'stopped'} for ${subscriptionId}`);
+
+    return {
+      success: true,
+      subscriptionId: subscriptionId,
+      recording: enabled
+    };
+  }
+
+  /**
+   * Forget a subscription (called when it is removed)
+   */
+  forget(subscriptionId) {
+    this.recording.delete(subscriptionId);
+  }
+
+  /**
+   * Forget the subscriptions that no longer exist (deleted, or their connection was closed)
+   */
+  prune() {
+    for (const subscriptionId of this.recording) {
+      if (!connections.hasSubscription(subscriptionId)) {
+        this.forget(subscriptionId);
+        logger.info(`Historian recording stopped for ${subscriptionId} (subscription removed)`);
+      }
+    }
+  }
+
+  onChange(change) {
+    if (!this.recording.has(change.subscriptionId)) {
+      return;
+    }
+
+    const time = new Date(change.sourceTimestamp || change.serverTimestamp || Date.now()).getTime();
+    const record = { t: time, v: change.value };
+    if (change.statusCode && !change.statusCode.startsWith('Good')) {
+      record.s = change.statusCode;
+    }
+
+    const manager = connections.connections.get(change.connectionId);
+    if (!manager) {
+      return;
+    }
+    const file = this.dayFile(manager.reference(), change.originalNodeId || change.nodeId, time);
+    if (!this.buffer.has(file)) {
+      this.buffer.set(file, []);
+    }
+    this.buffer.get(file).push(JSON.stringify(record));
+  }
+
+  /**
+   * Directory of the values of a node, always below HISTORIAN_DIR ("." and ".." cannot come out of the encoding)
+   */
+  nodeDir(connection, nodeId) {
+    const dir = path.resolve(this.dir, encodeName(connection), encodeName(nodeId));
+    if (!dir.startsWith(this.dir + path.sep)) {
+      throw new ApiError(400, `Invalid nodeId: ${nodeId}`);
+    }
+    return dir;
+  }
+
+  dayFile(connection, nodeId, time) {
+    return path.join(this.nodeDir(connection, nodeId), `${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+  }
+
+  /**
+   * Directories of the connections with stored values
+   */
+  async connectionDirs() {
+    const entries = fs.existsSync(this.dir) ? await fs.promises.readdir(this.dir, { withFileTypes: true }) : [];
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  }
+
+  /**
+   * Directories of the nodes with stored values, as { connection, node } directory names
+   */
+  async nodeDirs() {
+    const nodes = [];
+    for (const connection of await this.connectionDirs()) {
+      const entries = await fs.promises.readdir(path.join(this.dir, connection), { withFileTypes: true });
+      entries
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => nodes.push({ connection: connection, node: entry.name }));
+    }
+    return nodes;
+  }
+
+  /**
+   * Connection whose history of a node is queried: the given one, else the only connection that stored the node
+   */
+  async resolveConnection(nodeId, connection) {
+    if (connection !== undefined) {
+      if (typeof connection !== 'string' || connection === '') {
+        throw new ApiError(400, 'connection must be a connection name or endpoint');
+      }
+      return connection;
+    }
+
+    const stored = [];
+    for (const name of await this.connectionDirs()) {
+      if (fs.existsSync(path.join(this.dir, name, encodeName(nodeId)))) {
+        stored.push(decodeURIComponent(name));
+      }
+    }
+    if (stored.length > 1) {
+      throw new ApiError(400, `connection is required, ${nodeId} is stored for ${stored.join(', ')}`);
+    }
+    return stored.length === 1 ? stored[0] : null;
+  }
+
+  /**
+   * Run a task after all pending writes and maintenance
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(err => logger.error('Historian error:', err));
+    return this.queue;
+  }
+
+  /**
+   * Append buffered values to their day files
+   */
+  flush() {
+    if (this.buffer.size === 0) {
+      return this.queue;
+    }
+
+    const pending = this.buffer;
+    this.buffer = new Map();
+
+    return this.enqueue(async () => {
+      for (const [file, lines] of pending) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, lines.join('\n') + '\n');
+      }
+    });
+  }
+
+  /**
+   * Apply the retention and downsampling policies to all stored days
+   */
+  maintain() {
+    return this.enqueue(async () => {
+      const today = Date.parse(new Date().toISOString().slice(0, 10));
+      for (const { connection, node } of await this.nodeDirs()) {
+        const dir = path.join(this.dir, connection, node);
+        for (const name of await fs.promises.readdir(dir)) {
+          const day = Date.parse(name.slice(0, 10));
+          if (isNaN(day)) {
+            continue;
+          }
+
+          const age = (today - day) / DAY_MS;
+          const file = path.join(dir, name);
+
+          if (this.retentionDays > 0 && age >= this.retentionDays) {
+            await fs.promises.unlink(file);
+          } else if (this.downsampleAfterDays > 0 && age >= this.downsampleAfterDays && !name.endsWith('.ds.jsonl')) {
+            // Values can arrive late for an already downsampled day, keep what is there
+            const target = file.replace(/\.jsonl$/, '.ds.jsonl');
+            const existing = fs.existsSync(target) ? await readRecords(target) : [];
+            const records = mergeDownsampled(existing, downsample(await readRecords(file), this.downsampleInterval));
+            await fs.promises.writeFile(target, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            await fs.promises.unlink(file);
+          }
+        }
+
+        if ((await fs.promises.readdir(dir)).length === 0) {
+          await fs.promises.rmdir(dir);
+        }
+      }
+    });
+  }
+
+  /**
+   * Query stored values of a node
+   * aggregate 'raw' returns the stored records, the others one value per interval (ms)
+   */
+  async query(nodeId, options = {}) {
+    this.ensureEnabled();
+
+    const to = options.to !== undefined ? parseTime(options.to, 'to') : Date.now();
+    const from = options.from !== undefined ? parseTime(options.from, 'from') : to - 60 * 60 * 1000;
+    const aggregate = options.aggregate || 'raw';
+    const interval = options.interval !== undefined ? Number(options.interval) : 60000;
+
+    if (from > to) {
+      throw new ApiError(400, 'from must be before to');
+    }
+    if (!AGGREGATES.includes(aggregate)) {
+      throw new ApiError(400, `Unknown aggregate: ${aggregate} (expected ${AGGREGATES.join(', ')})`);
+    }
+    if (aggregate !== 'raw' && !(interval > 0)) {
+      throw new ApiError(400, 'interval (ms) must be a positive number');
+    }
+
+    await this.flush();
+
+    const connection = await this.resolveConnection(nodeId, options.connection);
+    const records = [];
+    const dir = connection === null ? null : this.nodeDir(connection, nodeId);
+    const names = dir && fs.existsSync(dir) ? (await fs.promises.readdir(dir)).sort() : [];
+    for (const name of names) {
+      const day = Date.parse(name.slice(0, 10));
+      if (isNaN(day) || day + DAY_MS <= from || day > to) {
+        continue;
+      }
+      for (const record of await readRecords(path.join(dir, name))) {
+        if (record.t >= from && record.t <= to) {
+          records.push(record);
+        }
+      }
+    }
+    records.sort((a, b) => a.t - b.t);
+
+    const result = {
+      success: true,
+      connection: connection,
+      nodeId: nodeId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      aggregate: aggregate
+    };
+
+    if (aggregate === 'raw') {
+      const values = records.slice(0, MAX_RAW_VALUES).map(record => ({
+        timestamp: new Date(record.t).toISOString(),
+        value: record.v,
+        ...(record.s ? { statusCode: record.s } : {}),
+        ...(record.n ? { count: record.n, min: record.min, max: record.max } : {})
+      }));
+      return {
+        ...result,
+        values: values,
+        count: values.length,
+        truncated: records.length > MAX_RAW_VALUES
+      };
+    }
+
+    const values = aggregateRecords(records, aggregate, from, interval);
+    return {
+      ...result,
+      interval: interval,
+      values: values,
+      count: values.length
+    };
+  }
+
+  /**
+   * Historian configuration and the nodes with stored values
+   */
+  async getInfo() {
+    if (!this.enabled) {
+      return { success: true, enabled: false };
+    }
+
+    await this.flush();
+    const nodes = (await this.nodeDirs()).map(({ connection, node }) => ({
+      connection: decodeURIComponent(connection),
+      nodeId: decodeURIComponent(node)
+    }));
+
+    return {
+      success: true,
+      enabled: true,
+      directory: this.dir,
+      retentionDays: this.retentionDays,
+      downsampleAfterDays: this.downsampleAfterDays,
+      downsampleInterval: this.downsampleInterval,
+      recordingSubscriptions: Array.from(this.recording),
+      nodes: nodes
+    };
+  }
+}
+
+/**
+ * File name of a connection or nodeId, dots are encoded too so no name is "." or ".."
+ */
+function encodeName(name) {
+  return encodeURIComponent(name).replace(/\./g, '%2E');
+}
+
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new ApiError(400, `${name} must be an ISO 8601 string or epoch milliseconds`);
+  }
+  return time;
+}
+
+async function readRecords(file) {
+  const content = await fs.promises.readFile(file, 'utf8');
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // A crash can leave a partial last line, skip it
+    }
+  }
+  return records;
+}
+
+/**
+ * Reduce raw records to one record per interval
+ * Numbers keep average, min, max and count; other values keep the last value
+ */
+function downsample(records, interval) {
+  const buckets = new Map();
+  for (const record of records) {
+    const start = Math.floor(record.t / interval) * interval;
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(record);
+  }
+
+  return Array.from(buckets, ([start, items]) => {
+    const numbers = items.filter(item => typeof item.v === 'number');
+    if (numbers.length === 0) {
+      return { t: start, v: items[items.length - 1].v, n: items.length };
+    }
+    return {
+      t: start,
+      v: numbers.reduce((sum, item) => sum + item.v, 0) / numbers.length,
+      min: numbers.reduce((min, item) => Math.min(min, item.v), Infinity),
+      max: numbers.reduce((max, item) => Math.max(max, item.v), -Infinity),
+      n: items.length
+    };
+  }).sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Merge two sets of downsampled records, records of the same interval are combined weighted by their count
+ */
+function mergeDownsampled(existing, added) {
+  const merged = new Map(existing.map(record => [record.t, record]));
+  for (const record of added) {
+    const previous = merged.get(record.t);
+    if (!previous) {
+      merged.set(record.t, record);
+    } else if (previous.min !== undefined && record.min !== undefined) {
+      const n = previous.n + record.n;
+      merged.set(record.t, {
+        t: record.t,
+        v: (previous.v * previous.n + record.v * record.n) / n,
+        min: Math.min(previous.min, record.min),
+        max: Math.max(previous.max, record.max),
+        n: n
+      });
+    } else {
+      merged.set(record.t, { ...record, n: previous.n + record.n });
+    }
+  }
+  return Array.from(merged.values()).sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Compute one aggregate value per interval, downsampled records are weighted by their count
+ */
+function aggregateRecords(records, aggregate, from, interval) {
+  const buckets = new Map();
+  for (const record of records) {
+    const start = from + Math.floor((record.t - from) / interval) * interval;
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(record);
+  }
+
+  const values = [];
+  for (const [start, items] of buckets) {
+    const numbers = items.filter(item => typeof item.v === 'number');
+    let value;
+
+    switch (aggregate) {
+      case 'count':
+        value = items.reduce((sum, item) => sum + (item.n || 1), 0);
+        break;
+      case 'first':
+        value = items[0].v;
+        break;
+      case 'last':
+        value = items[items.length - 1].v;
+        break;
+      case 'avg': {
+        const weight = numbers.reduce((sum, item) => sum + (item.n || 1), 0);
+        value = weight > 0 ? numbers.reduce((sum, item) => sum + item.v * (item.n || 1), 0) / weight : null;
+        break;
+      }
+      case 'min':
+        value = numbers.length > 0 ? numbers.reduce((min, item) => Math.min(min, item.min ?? item.v), Infinity) : null;
+        break;
+      case 'max':
+        value = numbers.length > 0 ? numbers.reduce((max, item) => Math.max(max, item.max ?? item.v), -Infinity) : null;
+        break;
+    }
+
+    values.push({ timestamp: new Date(start).toISOString(), value: value });
+  }
+  return values;
+}
+
+// Singleton instance
+const historian = new Historian();
+
+module.exports = historian;
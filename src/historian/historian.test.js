@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historian-test-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.HISTORIAN_ENABLED = 'true';
+process.env.HISTORIAN_DIR = dir;
+process.env.HISTORIAN_RETENTION_DAYS = '30';
+process.env.HISTORIAN_DOWNSAMPLE_AFTER_DAYS = '7';
+process.env.HISTORIAN_DOWNSAMPLE_INTERVAL = '60000';
+
+const connections = require('../opcua/connections');
+const historian = require('./historian');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const nodeDir = path.join(dir, 'line1', 'ns%3D1%3Bs%3DTemp');
+const dayOf = (daysAgo) => new Date(Date.now() - daysAgo * DAY_MS).toISOString().slice(0, 10);
+
+function writeDay(day, records, suffix = '.jsonl') {
+  fs.mkdirSync(nodeDir, { recursive: true });
+  fs.writeFileSync(path.join(nodeDir, `${day}${suffix}`), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+const readDay = (name) => fs.readFileSync(path.join(nodeDir, name), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test.before(() => historian.start());
+
+test.after(async () => {
+  await historian.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records the changes of recorded subscriptions and queries them raw', async () => {
+  const t0 = Date.now() - 10000;
+  connections.connections.set('c1', { reference: () => 'line1' });
+  historian.recording.add('s1');
+  try {
+    historian.onChange({ subscriptionId: 's1', connectionId: 'c1', nodeId: 'ns=1;s=Temp', value: 20, sourceTimestamp: new Date(t0).toISOString() });
+    historian.onChange({ subscriptionId: 's1', connectionId: 'c1', nodeId: 'ns=1;s=Temp', value: 21, statusCode: 'Uncertain', sourceTimestamp: new Date(t0 + 1000).toISOString() });
+    historian.onChange({ subscriptionId: 's2', connectionId: 'c1', nodeId: 'ns=1;s=Temp', value: 99, sourceTimestamp: new Date(t0 + 2000).toISOString() });
+  } finally {
+    historian.recording.delete('s1');
+    connections.connections.delete('c1');
+  }
+
+  const result = await historian.query('ns=1;s=Temp', { from: String(t0), to: String(t0 + 5000) });
+  assert.strictEqual(result.connection, 'line1');
+  assert.deepStrictEqual(result.values.map(value => value.value), [20, 21]);
+  assert.strictEqual(result.values[1].statusCode, 'Uncertain');
+});
+
+test('aggregates per interval', async () => {
+  const day = dayOf(2);
+  const t0 = Date.parse(day);
+  writeDay(day, [{ t: t0, v: 1 }, { t: t0 + 1000, v: 3 }, { t: t0 + 60000, v: 10 }]);
+
+  const query = (aggregate) => historian.query('ns=1;s=Temp', { from: String(t0), to: String(t0 + 120000), aggregate, interval: 60000 });
+  assert.deepStrictEqual((await query('avg')).values.map(value => value.value), [2, 10]);
+  assert.deepStrictEqual((await query('max')).values.map(value => value.value), [3, 10]);
+  assert.deepStrictEqual((await query('count')).values.map(value => value.value), [2, 1]);
+});
+
+test('rejects invalid query options', async () => {
+  await assert.rejects(historian.query('ns=1;s=Temp', { aggregate: 'median' }), { status: 400 });
+  await assert.rejects(historian.query('ns=1;s=Temp', { from: 'yesterday' }), { status: 400 });
+  await assert.rejects(historian.query('ns=1;s=Temp', { from: '2000', to: '1000' }), { status: 400 });
+});
+
+test('node ids cannot leave the historian directory', () => {
+  assert.ok(historian.nodeDir('line1', '..').startsWith(dir + path.sep));
+  assert.ok(historian.nodeDir('..', '../..').startsWith(dir + path.sep));
+  assert.strictEqual(path.dirname(historian.nodeDir('line1', 'a/../../b')), path.join(dir, 'line1'));
+});
+
+test('maintain deletes expired days and downsamples old ones into the existing downsampled day', async () => {
+  const expired = dayOf(40);
+  writeDay(expired, [{ t: Date.parse(expired), v: 1 }]);
+
+  const old = dayOf(10);
+  const t0 = Date.parse(old);
+  writeDay(old, [{ t: t0, v: 1 }, { t: t0 + 1000, v: 3 }]);
+  await historian.maintain();
+  assert.deepStrictEqual(readDay(`${old}.ds.jsonl`), [{ t: t0, v: 2, min: 1, max: 3, n: 2 }]);
+
+  // Late values for the same day are merged, not written over the earlier ones
+  writeDay(old, [{ t: t0 + 2000, v: 5 }, { t: t0 + 120000, v: 'x' }]);
+  await historian.maintain();
+
+  const files = fs.readdirSync(nodeDir);
+  assert.ok(!files.includes(`${expired}.jsonl`));
+  assert.ok(!files.includes(`${old}.jsonl`));
+  assert.deepStrictEqual(readDay(`${old}.ds.jsonl`), [
+    { t: t0, v: 3, min: 1, max: 5, n: 3 },
+    { t: t0 + 120000, v: 'x', n: 1 }
+  ]);
+});
@@ -0,0 +1,392 @@
+const { AttributeIds, TimestampsToReturn } = require('node-opcua');
+const { parseBrowseOptions, walk } = require('./browse');
+const { buildEventFilter } = require('./events');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Crawl limits (a S7-1500 with optimized DBs easily has tens of thousands of nodes)
+const INDEX_MAX_NODES = Number(process.env.INDEX_MAX_NODES || 100000);
+const INDEX_MAX_DEPTH = Number(process.env.INDEX_MAX_DEPTH || 30);
+
+// Model changes come in bursts (e.g. a program download), rebuild once they settled
+const REFRESH_DELAY = 5000;
+
+const SEARCH_MODES = ['substring', 'fuzzy', 'glob'];
+
+// Searches run synchronously against every indexed node; glob matching is O(pattern x text), unlike a RegExp
+const MAX_GLOB_LENGTH = 200;
+
+/**
+ * Case-sensitive match of a whole text against a glob (* any characters, ? one character)
+ * Backtracks only to the last *, so the time stays O(pattern x text)
+ */
+function globMatch(pattern, text) {
+  let p = 0;
+  let t = 0;
+  let star = -1;
+  let resume = 0;
+  while (t < text.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+      p++;
+      t++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      resume = t;
+    } else if (star !== -1) {
+      p = star + 1;
+      t = ++resume;
+    } else {
+      return false;
+    }
+  }
+  while (p < pattern.length && pattern[p] === '*') {
+    p++;
+  }
+  return p === pattern.length;
+}
+
+/**
+ * Score of a fuzzy match: the query characters must appear in order in the text
+ * Consecutive characters and characters at word starts score higher, -1 when not matching
+ */
+function fuzzyScore(query, text) {
+  let score = 0;
+  let last = -1;
+  for (const char of query) {
+    const index = text.indexOf(char, last + 1);
+    if (index === -1) {
+      return -1;
+    }
+    score += 1;
+    if (index === last + 1) {
+      score += 2;
+    }
+    if (index === 0 || /[^a-z0-9]/.test(text[index - 1])) {
+      score += 3;
+    }
+    last = index;
+  }
+  // Prefer short texts (the query covers more of them)
+  return score - (text.length - query.length) * 0.01;
+}
+
+/**
+ * Score of a substring match on the names, lower when only the path or nodeId contains the query, -1 when not matching
+ */
+function substringScore(query, entry) {
+  const names = [entry.displayName.toLowerCase(), entry.name.toLowerCase()];
+  if (names.includes(query)) {
+    return 100;
+  }
+  if (names.some(name => name.startsWith(query))) {
+    return 50;
+  }
+  if (names.some(name => name.includes(query))) {
+    return 10;
+  }
+  if (entry.path.toLowerCase().includes(query) || entry.nodeId.toLowerCase().includes(query)) {
+    return 1;
+  }
+  return -1;
+}
+
+/**
+ * Search result of an index entry with its breadcrumb (from the Objects folder) and children
+ */
+function describeEntry(entries, entry, score, includeChildren) {
+  const breadcrumb = [];
+  for (let current = entry; current; current = entries.get(current.parentNodeId)) {
+    breadcrumb.unshift({ nodeId: current.nodeId, displayName: current.displayName });
+  }
+
+  const result = {
+    nodeId: entry.nodeId,
+    browseName: entry.browseName,
+    displayName: entry.displayName,
+    nodeClass: entry.nodeClass,
+    dataType: entry.dataType,
+    valueRank: entry.valueRank,
+    path: entry.path,
+    breadcrumb: breadcrumb,
+    childCount: entry.children.length,
+    score: Math.round(score * 100) / 100
+  };
+  if (includeChildren) {
+    result.children = entry.children.map(nodeId => {
+      const child = entries.get(nodeId);
+      return {
+        nodeId: child.nodeId,
+        browseName: child.browseName,
+        displayName: child.displayName,
+        nodeClass: child.nodeClass,
+        dataType: child.dataType
+      };
+    });
+  }
+  return result;
+}
+
+/**
+ * Address space index of one connection
+ * Crawls the Objects folder in the background after connect and again when the server reports a model change
+ * (GeneralModelChangeEvent / SemanticChangeEvent), so searches run in memory
+ */
+class AddressIndex {
+  constructor(connectionId) {
+    this.connectionId = connectionId;
+    this.session = null;
+    this.entries = new Map(); // Map<nodeId, { nodeId, browseName, name, displayName, nodeClass, dataType, valueRank, parentNodeId, path, children }>
+    this.building = null; // Entries of the running crawl
+    this.state = 'idle';
+    this.generation = 0;
+    this.truncated = false;
+    this.startedAt = null;
+    this.builtAt = null;
+    this.durationMs = null;
+    this.error = null;
+    this.subscription = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Index the address space of a (new) session and watch for model changes
+   * After a reconnect the previous index stays searchable until the new crawl is complete
+   */
+  start(session) {
+    this.detach();
+    this.session = session;
+    this.watchModelChanges(session).catch(err => {
+      logger.warn(`Model change events not available (${this.connectionId}): ${err.message}`);
+    });
+    return this.refresh();
+  }
+
+  /**
+   * Stop crawling and watching the session, the index is kept
+   */
+  detach() {
+    this.generation++;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (this.subscription) {
+      const subscription = this.subscription;
+      this.subscription = null;
+      subscription.terminate().catch(() => {});
+    }
+
+    this.session = null;
+    this.building = null;
+    if (this.state === 'building') {
+      this.state = this.builtAt ? 'ready' : 'idle';
+    }
+  }
+
+  /**
+   * Stop crawling and watching, forget the index
+   */
+  stop() {
+    this.detach();
+    this.entries = new Map();
+    this.state = 'idle';
+    this.truncated = false;
+    this.builtAt = null;
+    this.error = null;
+  }
+
+  /**
+   * Crawl the address space, the previous index stays searchable until the new one is complete
+   */
+  async refresh() {
+    if (!this.session) {
+      throw new Error('Not connected to PLC');
+    }
+
+    const session = this.session;
+    const generation = ++this.generation;
+    const entries = new Map();
+    const startedAt = Date.now();
+
+    this.building = entries;
+    this.state = 'building';
+    this.startedAt = new Date(startedAt).toISOString();
+    this.error = null;
+    logger.info(`Indexing address space (${this.connectionId})`);
+
+    try {
+      const options = { ...parseBrowseOptions(), maxDepth: INDEX_MAX_DEPTH, maxNodes: INDEX_MAX_NODES };
+      const result = await walk(session, 'ObjectsFolder', options, (node, parent) => {
+        // A newer crawl started or the connection closed
+        if (generation !== this.generation) {
+          throw new Error('Index crawl superseded');
+        }
+        if (node.repeated) {
+          return;
+        }
+
+        const parentEntry = parent ? entries.get(parent.nodeId) : null;
+        entries.set(node.nodeId, {
+          nodeId: node.nodeId,
+          browseName: node.browseName,
+          name: node.browseName.replace(/^\d+:/, ''),
+          displayName: node.displayName,
+          nodeClass: node.nodeClass,
+          dataType: node.dataType,
+          valueRank: node.valueRank,
+          parentNodeId: parent ? parent.nodeId : null,
+          path: parentEntry ? `${parentEntry.path}.${node.displayName}` : node.displayName,
+          children: []
+        });
+        if (parentEntry) {
+          parentEntry.children.push(node.nodeId);
+        }
+      });
+
+      if (generation !== this.generation) {
+        return;
+      }
+
+      this.entries = entries;
+      this.building = null;
+      this.truncated = result.truncated;
+      this.state = 'ready';
+      this.builtAt = new Date().toISOString();
+      this.durationMs = Date.now() - startedAt;
+      logger.info(`Address space indexed (${this.connectionId}): ${entries.size} nodes in ${this.durationMs} ms${result.truncated ? `, truncated at ${INDEX_MAX_NODES}` : ''}`);
+    } catch (err) {
+      if (generation !== this.generation) {
+        return;
+      }
+      this.building = null;
+      this.state = 'error';
+      this.error = err.message;
+      logger.error(`Address space indexing failed (${this.connectionId}): ${err.message}`);
+    }
+  }
+
+  /**
+   * Rebuild the index when the server reports a change of the address space
+   */
+  async watchModelChanges(session) {
+    const subscription = await session.createSubscription2({
+      requestedPublishingInterval: 1000,
+      requestedLifetimeCount: 60,
+      requestedMaxKeepAliveCount: 20,
+      maxNotificationsPerPublish: 100,
+      publishingEnabled: true,
+      priority: 1
+    });
+
+    const { filter } = buildEventFilter({ eventTypes: ['BaseModelChangeEventType'] });
+    let monitoredItem;
+    try {
+      monitoredItem = await subscription.monitor(
+        { nodeId: 'Server', attributeId: AttributeIds.EventNotifier },
+        { samplingInterval: 0, discardOldest: true, queueSize: 100, filter: filter },
+        TimestampsToReturn.Both
+      );
+      if (!monitoredItem.statusCode.isGood()) {
+        throw new Error(monitoredItem.statusCode.toString());
+      }
+    } catch (err) {
+      await subscription.terminate().catch(() => {});
+      throw err;
+    }
+
+    if (this.session !== session) {
+      await subscription.terminate().catch(() => {});
+      return;
+    }
+    this.subscription = subscription;
+
+    monitoredItem.on('changed', () => {
+      if (this.session !== session) {
+        return;
+      }
+      logger.info(`Model change reported (${this.connectionId}), re-indexing in ${REFRESH_DELAY} ms`);
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = setTimeout(() => this.refresh().catch(() => {}), REFRESH_DELAY);
+    });
+  }
+
+  /**
+   * Search the index
+   * mode: substring (default), fuzzy or glob; nodeClasses / dataTypes filters (dataType name or built-in type),
+   * limit (default 100), includeChildren (default true)
+   * Until the first crawl is complete the nodes indexed so far are searched (complete: false)
+   */
+  search(query, options = {}) {
+    const { mode = 'substring', nodeClasses, dataTypes, limit = 100, includeChildren = true } = options;
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new ApiError(400, `mode must be one of ${SEARCH_MODES.join(', ')}`);
+    }
+
+    let score;
+    if (mode === 'glob') {
+      if (query.length > MAX_GLOB_LENGTH) {
+        throw new ApiError(400, `Glob must be at most ${MAX_GLOB_LENGTH} characters`);
+      }
+      const glob = query.toLowerCase();
+      const matches = text => globMatch(glob, text.toLowerCase());
+      score = entry => (matches(entry.displayName) || matches(entry.name) ? 10 : matches(entry.path) ? 1 : -1);
+    } else if (mode === 'fuzzy') {
+      const text = query.toLowerCase();
+      score = entry => Math.max(fuzzyScore(text, entry.displayName.toLowerCase()), fuzzyScore(text, entry.name.toLowerCase()));
+    } else {
+      const text = query.toLowerCase();
+      score = entry => substringScore(text, entry);
+    }
+
+    const entries = !this.builtAt && this.building ? this.building : this.entries;
+    const types = dataTypes ? dataTypes.map(type => type.toLowerCase()) : null;
+    const matches = [];
+    for (const entry of entries.values()) {
+      if (nodeClasses && !nodeClasses.includes(entry.nodeClass)) {
+        continue;
+      }
+      if (types && !(entry.dataType && [entry.dataType.name, entry.dataType.builtInType].some(type => type && types.includes(type.toLowerCase())))) {
+        continue;
+      }
+      const entryScore = score(entry);
+      if (entryScore >= 0) {
+        matches.push({ entry, score: entryScore });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || a.entry.path.length - b.entry.path.length);
+
+    return {
+      results: matches.slice(0, limit).map(({ entry, score }) => describeEntry(entries, entry, score, includeChildren)),
+      total: matches.length,
+      complete: entries === this.entries && this.builtAt !== null
+    };
+  }
+
+  /**
+   * Browse path of an indexed node from the Objects folder ("3:DataBlocksGlobal.3:DB1.3:Speed"), null when not indexed
+   */
+  browsePath(nodeId) {
+    const names = [];
+    for (let entry = this.entries.get(nodeId); entry && entry.parentNodeId; entry = this.entries.get(entry.parentNodeId)) {
+      names.unshift(entry.browseName);
+    }
+    return names.length > 0 ? names.join('.') : null;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      nodeCount: this.entries.size,
+      truncated: this.truncated,
+      maxNodes: INDEX_MAX_NODES,
+      startedAt: this.startedAt,
+      builtAt: this.builtAt,
+      durationMs: this.durationMs,
+      watchingModelChanges: this.subscription !== null,
+      error: this.error
+    };
+  }
+}
+
+module.exports = { AddressIndex };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AddressIndex } = require('./addressindex');
+
+/**
+ * Index with a finished crawl of the given nodes, [nodeId, displayName, parentNodeId?, dataType?]
+ */
+function indexOf(nodes) {
+  const index = new AddressIndex('c1');
+  for (const [nodeId, displayName, parentNodeId, dataType] of nodes) {
+    const parent = index.entries.get(parentNodeId);
+    index.entries.set(nodeId, {
+      nodeId,
+      browseName: `3:${displayName}`,
+      name: displayName,
+      displayName,
+      nodeClass: dataType ? 'Variable' : 'Object',
+      dataType: dataType ? { name: dataType, builtInType: dataType } : null,
+      valueRank: -1,
+      parentNodeId: parent ? parentNodeId : null,
+      path: parent ? `${parent.path}.${displayName}` : displayName,
+      children: []
+    });
+    if (parent) {
+      parent.children.push(nodeId);
+    }
+  }
+  index.builtAt = new Date();
+  return index;
+}
+
+const index = indexOf([
+  ['ns=1;s=Line1', 'Line1'],
+  ['ns=1;s=Line1.Motor', 'Motor', 'ns=1;s=Line1'],
+  ['ns=1;s=Line1.Motor.Speed', 'Speed', 'ns=1;s=Line1.Motor', 'Double'],
+  ['ns=1;s=Line1.Motor.SpeedSetpoint', 'SpeedSetpoint', 'ns=1;s=Line1.Motor', 'Double'],
+  ['ns=1;s=Line1.Motor.Running', 'Running', 'ns=1;s=Line1.Motor', 'Boolean']
+]);
+
+const names = (result) => result.results.map(entry => entry.displayName);
+
+test('substring search ranks exact names first', () => {
+  const result = index.search('speed');
+  assert.deepStrictEqual(names(result), ['Speed', 'SpeedSetpoint']);
+  assert.strictEqual(result.total, 2);
+  assert.strictEqual(result.complete, true);
+  assert.deepStrictEqual(result.results[0].breadcrumb.map(crumb => crumb.displayName), ['Line1', 'Motor', 'Speed']);
+});
+
+test('substring search also matches paths, with a lower score', () => {
+  const result = index.search('motor');
+  assert.strictEqual(names(result)[0], 'Motor');
+  assert.strictEqual(result.total, 4);
+});
+
+test('fuzzy search matches characters in order', () => {
+  assert.deepStrictEqual(names(index.search('spdsp', { mode: 'fuzzy' })), ['SpeedSetpoint']);
+});
+
+test('glob search matches whole names case-insensitively', () => {
+  assert.deepStrictEqual(names(index.search('speed*', { mode: 'glob' })), ['Speed', 'SpeedSetpoint']);
+  assert.deepStrictEqual(names(index.search('?unn*', { mode: 'glob' })), ['Running']);
+  assert.deepStrictEqual(names(index.search('*.motor.s*', { mode: 'glob' })), ['Speed', 'SpeedSetpoint']);
+  assert.deepStrictEqual(names(index.search('peed', { mode: 'glob' })), []);
+});
+
+test('filters, limit and includeChildren', () => {
+  assert.deepStrictEqual(names(index.search('', { dataTypes: ['boolean'] })), ['Running']);
+  assert.deepStrictEqual(names(index.search('', { nodeClasses: ['Object'] })), ['Line1', 'Motor']);
+  assert.strictEqual(index.search('', { limit: 2 }).results.length, 2);
+  assert.deepStrictEqual(index.search('motor', { includeChildren: true }).results[0].children.map(child => child.displayName), ['Speed', 'SpeedSetpoint', 'Running']);
+  assert.strictEqual(index.search('motor', { includeChildren: false }).results[0].children, undefined);
+});
+
+test('rejects unknown modes and long globs', () => {
+  assert.throws(() => index.search('.*', { mode: 'regex' }), { status: 400 });
+  assert.throws(() => index.search('*'.repeat(201), { mode: 'glob' }), { status: 400 });
+});
+
+test('glob search stays fast on patterns that backtrack', { timeout: 5000 }, () => {
+  const long = indexOf([['ns=1;s=Long', 'a'.repeat(10000)]]);
+  assert.strictEqual(long.search(`${'*a'.repeat(99)}*b`, { mode: 'glob' }).total, 0);
+  assert.strictEqual(long.search(`${'*a'.repeat(99)}*`, { mode: 'glob' }).total, 1);
+});
@@ -0,0 +1,247 @@
+const {
+  AttributeIds,
+  BrowseDirection,
+  DataType,
+  NodeClass,
+  ReferenceTypeIds,
+  resolveNodeId
+} = require('node-opcua');
+const { resolveBuiltInType } = require('./datatypes');
+const { ApiError } = require('../utils/errors');
+
+// Nodes browsed / read per request (servers limit the operations per call, e.g. MaxNodesPerBrowse)
+const BROWSE_BATCH_SIZE = 50;
+const READ_BATCH_SIZE = 500;
+
+// Standard reference type names by numeric id (ns=0)
+const REFERENCE_TYPE_NAMES = Object.fromEntries(
+  Object.entries(ReferenceTypeIds).map(([name, id]) => [id, name])
+);
+
+const NODE_CLASSES = ['Object', 'Variable', 'Method', 'ObjectType', 'VariableType', 'ReferenceType', 'DataType', 'View'];
+const DIRECTIONS = ['Forward', 'Inverse', 'Both'];
+
+/**
+ * Validate the options of a recursive browse
+ * referenceType (name or nodeId, default HierarchicalReferences), includeSubtypes, direction (Forward, Inverse, Both),
+ * nodeClasses (names, default all)
+ */
+function parseBrowseOptions(options = {}) {
+  const { referenceType = 'HierarchicalReferences', includeSubtypes = true, direction = 'Forward', nodeClasses } = options;
+
+  let referenceTypeId;
+  try {
+    referenceTypeId = resolveNodeId(referenceType);
+  } catch (err) {
+    throw new ApiError(400, `Unknown referenceType: ${referenceType}`);
+  }
+  if (typeof includeSubtypes !== 'boolean') {
+    throw new ApiError(400, 'includeSubtypes must be a boolean');
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new ApiError(400, `direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+  if (nodeClasses !== undefined && (!Array.isArray(nodeClasses) || nodeClasses.some(name => !NODE_CLASSES.includes(name)))) {
+    throw new ApiError(400, `nodeClasses must be an array of ${NODE_CLASSES.join(', ')}`);
+  }
+
+  return {
+    referenceTypeId,
+    includeSubtypes,
+    browseDirection: BrowseDirection[direction],
+    // Browse all node classes so the walk descends through e.g. Objects when only Variables are wanted,
+    // nodeClasses filters the nodes walk() reports
+    nodeClassMask: 0,
+    nodeClasses: nodeClasses || null
+  };
+}
+
+/**
+ * Browse nodes following all continuation points
+ * Returns { statusCode, references } per node
+ */
+async function browseAll(session, nodeIds, options) {
+  const browseResults = await session.browse(nodeIds.map(nodeId => ({
+    nodeId,
+    browseDirection: options.browseDirection,
+    referenceTypeId: options.referenceTypeId,
+    includeSubtypes: options.includeSubtypes,
+    nodeClassMask: options.nodeClassMask,
+    resultMask: 0x3F
+  })));
+
+  return Promise.all(browseResults.map(async (browseResult) => {
+    const references = [...(browseResult.references || [])];
+    let continuationPoint = browseResult.continuationPoint;
+    while (continuationPoint && continuationPoint.length) {
+      const next = await session.browseNext(continuationPoint, false);
+      references.push(...(next.references || []));
+      continuationPoint = next.continuationPoint;
+    }
+    return { statusCode: browseResult.statusCode, references };
+  }));
+}
+
+function referenceToNode(ref) {
+  const referenceTypeId = ref.referenceTypeId.toString();
+  const node = {
+    nodeId: ref.nodeId.toString(),
+    browseName: ref.browseName.toString(),
+    displayName: ref.displayName?.text || ref.browseName.toString(),
+    nodeClass: NodeClass[ref.nodeClass],
+    referenceType: ref.referenceTypeId.namespace === 0 ? REFERENCE_TYPE_NAMES[ref.referenceTypeId.value] || referenceTypeId : referenceTypeId,
+    isForward: ref.isForward
+  };
+  if (ref.typeDefinition && !ref.typeDefinition.isEmpty()) {
+    node.typeDefinition = ref.typeDefinition.toString();
+  }
+  return node;
+}
+
+/**
+ * Add dataType ({ nodeId, name, builtInType }) and valueRank to variable nodes
+ * dataTypes caches the data type descriptions of a browse
+ */
+async function addVariableTypes(session, nodes, dataTypes) {
+  const variables = nodes.filter(node => node.nodeClass === 'Variable');
+
+  for (let i = 0; i < variables.length; i += READ_BATCH_SIZE) {
+    const batch = variables.slice(i, i + READ_BATCH_SIZE);
+    const dataValues = await session.read(batch.flatMap(node => [
+      { nodeId: node.nodeId, attributeId: AttributeIds.DataType },
+      { nodeId: node.nodeId, attributeId: AttributeIds.ValueRank }
+    ]));
+
+    for (let j = 0; j < batch.length; j++) {
+      const dataType = dataValues[2 * j];
+      const valueRank = dataValues[2 * j + 1];
+      if (dataType.statusCode.isGood()) {
+        batch[j].dataType = await describeDataType(session, dataType.value.value, dataTypes);
+      }
+      if (valueRank.statusCode.isGood()) {
+        batch[j].valueRank = valueRank.value.value;
+      }
+    }
+  }
+}
+
+async function describeDataType(session, dataTypeId, dataTypes) {
+  const key = dataTypeId.toString();
+  if (!dataTypes.has(key)) {
+    dataTypes.set(key, (async () => {
+      const browseName = await session.read({ nodeId: dataTypeId, attributeId: AttributeIds.BrowseName });
+      let builtInType = null;
+      try {
+        builtInType = DataType[await resolveBuiltInType(session, dataTypeId)];
+      } catch (err) {
+        // Unknown or abstract type, only the name is reported
+      }
+      return {
+        nodeId: key,
+        name: browseName.statusCode.isGood() ? browseName.value.value.name : null,
+        builtInType: builtInType || null
+      };
+    })());
+  }
+  return dataTypes.get(key);
+}
+
+/**
+ * Breadth-first walk from a node, level by level
+ * options: parseBrowseOptions() result plus maxDepth and maxNodes
+ * Calls onNode(node, parent, depth) for the start node and every node of options.nodeClasses (default all),
+ * parent is the closest reported ancestor (null for the start node); maxNodes counts the reported nodes
+ * Nodes get a children array when their references were browsed; nodes reached again are not browsed twice (repeated: true),
+ * nodes the server refuses to browse get browseError
+ * After maxNodes nodes the walk stops and the partly browsed parents get hasMore: true
+ * Returns { nodeCount, truncated }
+ */
+async function walk(session, startNodeId, options, onNode) {
+  const { maxDepth, maxNodes = Infinity, nodeClasses = null } = options;
+  const dataTypes = new Map();
+  const seen = new Set();
+  // Closest reported node of every browsed node (itself when reported)
+  const reported = new Map();
+
+  // Start node: describe it with the attributes a reference would carry
+  const attributes = ['BrowseName', 'DisplayName', 'NodeClass'];
+  const dataValues = await session.read(attributes.map(name => ({ nodeId: startNodeId, attributeId: AttributeIds[name] })));
+  if (!dataValues[0].statusCode.isGood()) {
+    throw new ApiError(404, `Node not found: ${startNodeId} (${dataValues[0].statusCode.toString()})`);
+  }
+  const root = {
+    nodeId: resolveNodeId(startNodeId).toString(),
+    browseName: dataValues[0].value.value.toString(),
+    displayName: dataValues[1].value.value?.text || dataValues[0].value.value.toString(),
+    nodeClass: NodeClass[dataValues[2].value.value]
+  };
+  await addVariableTypes(session, [root], dataTypes);
+  seen.add(root.nodeId);
+  reported.set(root, root);
+  onNode(root, null, 0);
+
+  let count = 1;
+  let level = [root];
+  for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+    const next = [];
+
+    for (let i = 0; i < level.length; i += BROWSE_BATCH_SIZE) {
+      const parents = level.slice(i, i + BROWSE_BATCH_SIZE);
+      const browseResults = await browseAll(session, parents.map(parent => parent.nodeId), options);
+
+      const children = [];
+      parents.forEach((parent, j) => {
+        const { statusCode, references } = browseResults[j];
+        if (!statusCode.isGood()) {
+          parent.browseError = statusCode.toString();
+          return;
+        }
+
+        parent.children = [];
+        const ancestor = reported.get(parent);
+        for (const ref of references) {
+          if (count >= maxNodes) {
+            ancestor.hasMore = true;
+            break;
+          }
+          const node = referenceToNode(ref);
+          const report = !nodeClasses || nodeClasses.includes(node.nodeClass);
+          if (seen.has(node.nodeId)) {
+            if (!report) {
+              continue;
+            }
+            node.repeated = true;
+          } else {
+            seen.add(node.nodeId);
+            reported.set(node, report ? node : ancestor);
+            next.push(node);
+          }
+          if (report) {
+            children.push({ node, parent: ancestor });
+            count++;
+          }
+        }
+      });
+
+      await addVariableTypes(session, children.map(child => child.node), dataTypes);
+      children.forEach(child => onNode(child.node, child.parent, depth));
+
+      if (count >= maxNodes) {
+        const truncated = parents.some(parent => reported.get(parent).hasMore) ||
+          i + BROWSE_BATCH_SIZE < level.length ||
+          (depth < maxDepth && next.length > 0);
+        return { nodeCount: count, truncated };
+      }
+    }
+
+    level = next;
+  }
+
+  return { nodeCount: count, truncated: false };
+}
+
+module.exports = {
+  parseBrowseOptions,
+  browseAll,
+  walk
+};
@@ -0,0 +1,76 @@
+/**
+ * Bounded ring buffer of the changes of a subscription
+ * Every change gets a sequence number (1, 2, ...) so pollers can continue where they stopped;
+ * when the buffer is full the oldest change is dropped
+ */
+class ChangeBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+    this.lastSequence = 0;
+  }
+
+  /**
+   * Sequence number of the oldest change still buffered (lastSequence + 1 when empty)
+   */
+  get firstSequence() {
+    return this.lastSequence - this.length + 1;
+  }
+
+  /**
+   * Append a change, returns it with its sequence number
+   */
+  push(change) {
+    const entry = { sequence: ++this.lastSequence, ...change };
+
+    if (this.length < this.capacity) {
+      this.entries[(this.start + this.length) % this.capacity] = entry;
+      this.length++;
+    } else {
+      this.entries[this.start] = entry;
+      this.start = (this.start + 1) % this.capacity;
+    }
+    return entry;
+  }
+
+  /**
+   * Changes with a sequence number greater than `after` (all buffered changes when undefined), at most `limit`
+   * lost: number of changes after `after` that were already dropped
+   * reset: `after` is ahead of the buffer (e.g. the API restarted), the number of lost changes is unknown
+   */
+  since(after, limit) {
+    const first = this.firstSequence;
+    const reset = after !== undefined && after > this.lastSequence;
+    const from = after === undefined || reset ? first : Math.max(after + 1, first);
+    const lost = after === undefined || reset ? 0 : Math.max(0, first - after - 1);
+    const count = Math.max(0, Math.min(limit, this.lastSequence - from + 1));
+
+    const changes = [];
+    for (let i = 0; i < count; i++) {
+      changes.push(this.entries[(this.start + from - first + i) % this.capacity]);
+    }
+
+    return {
+      changes,
+      lost,
+      reset,
+      more: from + count <= this.lastSequence
+    };
+  }
+
+  /**
+   * Change the capacity, keeping the newest changes
+   */
+  resize(capacity) {
+    const kept = this.since(undefined, this.length).changes.slice(-capacity);
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    kept.forEach((entry, i) => { this.entries[i] = entry; });
+    this.start = 0;
+    this.length = kept.length;
+  }
+}
+
+module.exports = { ChangeBuffer };
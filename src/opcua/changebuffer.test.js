@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChangeBuffer } = require('./changebuffer');
+
+const fill = (buffer, count) => {
+  for (let i = 1; i <= count; i++) {
+    buffer.push({ value: i });
+  }
+};
+
+test('push numbers the changes', () => {
+  const buffer = new ChangeBuffer(3);
+  assert.strictEqual(buffer.push({ value: 'a' }).sequence, 1);
+  assert.strictEqual(buffer.push({ value: 'b' }).sequence, 2);
+  assert.strictEqual(buffer.firstSequence, 1);
+});
+
+test('since returns the changes after a sequence, limited and with more', () => {
+  const buffer = new ChangeBuffer(10);
+  fill(buffer, 5);
+  const result = buffer.since(2, 2);
+  assert.deepStrictEqual(result.changes.map(change => change.sequence), [3, 4]);
+  assert.strictEqual(result.more, true);
+  assert.strictEqual(result.lost, 0);
+  assert.deepStrictEqual(buffer.since(5, 10).changes, []);
+});
+
+test('a full buffer drops the oldest changes and reports them as lost', () => {
+  const buffer = new ChangeBuffer(3);
+  fill(buffer, 5);
+  assert.strictEqual(buffer.firstSequence, 3);
+  const result = buffer.since(0, 10);
+  assert.deepStrictEqual(result.changes.map(change => change.value), [3, 4, 5]);
+  assert.strictEqual(result.lost, 2);
+  assert.strictEqual(result.more, false);
+});
+
+test('a cursor ahead of the buffer is a reset', () => {
+  const buffer = new ChangeBuffer(3);
+  fill(buffer, 2);
+  const result = buffer.since(100, 10);
+  assert.strictEqual(result.reset, true);
+  assert.strictEqual(result.lost, 0);
+  assert.deepStrictEqual(result.changes.map(change => change.sequence), [1, 2]);
+});
+
+test('resize keeps the newest changes', () => {
+  const buffer = new ChangeBuffer(5);
+  fill(buffer, 5);
+  buffer.resize(2);
+  assert.deepStrictEqual(buffer.since(undefined, 10).changes.map(change => change.value), [4, 5]);
+  buffer.push({ value: 6 });
+  assert.deepStrictEqual(buffer.since(undefined, 10).changes.map(change => change.sequence), [5, 6]);
+  buffer.resize(4);
+  fill(buffer, 2);
+  assert.deepStrictEqual(buffer.since(undefined, 10).changes.map(change => change.sequence), [5, 6, 7, 8]);
+});
@@ -6,28 +6,113 @@ const {
   AttributeIds,
   ClientSession,
   DataType,
-  MonitoringMode,
   NodeClass,
   BrowseDirection,
   makeNodeId,
   resolveNodeId,
   makeBrowsePath,
-  BrowsePath
+  BrowsePath,
+  VariantArrayType,
+  AggregateFunction,
+  HistoryReadRequest,
+  ReadRawModifiedDetails,
+  ReadProcessedDetails,
+  ReadAtTimeDetails,
+  TimestampsToReturn,
+  ObjectTypeIds,
+  MethodIds,
+  Variant,
+  callConditionRefresh
 } = require('node-opcua');
+const EventEmitter = require('events');
+const {
+  resolveBuiltInType,
+  coerceValue,
+  isBase64,
+  flattenArray,
+  formatVariant,
+  parseIndexRange,
+  structureFromJSON
+} = require('./datatypes');
+const { AddressIndex } = require('./addressindex');
+const { browseAll, walk } = require('./browse');
+const { ChangeBuffer } = require('./changebuffer');
+const { buildEventFilter, eventToJSON } = require('./events');
+const { buildMonitoringParameters } = require('./monitoring');
+const {
+  readNamespaceArray,
+  toIndexedNodeId,
+  toExpandedNodeId,
+  defaultNamespaceIndex,
+  parseRelativePath
+} = require('./namespaces');
+const pki = require('./pki');
+const { ApiError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
-class OPCUAClientManager {
-  constructor() {
+// Condition methods, called with the ConditionId as object (OPC UA Part 9)
+const CONDITION_METHODS = {
+  acknowledge: MethodIds.AcknowledgeableConditionType_Acknowledge,
+  confirm: MethodIds.AcknowledgeableConditionType_Confirm,
+  comment: MethodIds.ConditionType_AddComment
+};
+
+// Backoff between reconnect attempts after a connection loss (doubles up to the maximum)
+const RECONNECT_INITIAL_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Retry of the subscriptions and items that could not be restored after a reconnect
+const RESTORE_RETRY_INTERVAL = 30000;
+
+// Monitored items created in parallel when filling a multi-item subscription
+const MONITOR_BATCH_SIZE = 50;
+
+// Changes kept per subscription for polling clients (GET /subscriptions/:subscriptionId/changes)
+const CHANGE_BUFFER_SIZE = Number(process.env.CHANGE_BUFFER_SIZE || 1000);
+
+// Browse paths translated per request (servers limit MaxNodesPerTranslateBrowsePathsToNodeIds)
+const TRANSLATE_BATCH_SIZE = 100;
+
+// Short aggregate names accepted in addition to the standard AggregateFunction names
+const AGGREGATE_ALIASES = {
+  Min: 'Minimum',
+  Max: 'Maximum',
+  Avg: 'Average'
+};
+
+/**
+ * OPC UA client manager for a single connection
+ * Emits 'change' for every monitored item notification
+ */
+class OPCUAClientManager extends EventEmitter {
+  constructor(connectionId, options = {}) {
+    super();
+    this.connectionId = connectionId;
+    this.name = options.name || connectionId;
+    this.createdAt = new Date().toISOString();
+    this.endpoint = null;
     this.client = null;
     this.session = null;
+    this.namespaceArray = []; // NamespaceArray of the server, read for every session
     this.isConnected = false;
     this.connectionConfig = null;
     this.subscriptions = new Map();
-    this.registeredNodes = new Map(); // Store registered nodes: Map<serverNodeId, originalNodeId>
+    this.registeredNodes = new Map(); // Store registered nodes: Map<registeredId, { originalNodeId, serverNodeId }>
+    this.nodeTypes = new Map(); // Cached node types: Map<nodeId, { dataType, dataTypeId, valueRank }>
+    this.methodSignatures = new Map(); // Cached method arguments: Map<methodId, { inputArguments, outputArguments }>
+    this.alarms = new Map(); // Retained conditions: Map<conditionId[#branchId], alarm>
+    this.index = new AddressIndex(connectionId); // Address space index for searches
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.restoreTimer = null;
   }
 
   /**
    * Connect to OPC UA server
+   * config.autoReconnect (default true) restores the session, registered nodes
+   * and subscriptions after a connection loss
+   * config.index (default true) indexes the address space in the background for searches
    */
   async connect(config) {
     try {
@@ -35,92 +120,20 @@ class OPCUAClientManager {
         throw new Error('Already connected. Disconnect first.');
       }
 
-      const { endpoint, securityPolicy, securityMode, authType, username, password } = config;
-
-      // Map security policy
-      const securityPolicyMap = {
-        'None': SecurityPolicy.None,
-        'Basic128Rsa15': SecurityPolicy.Basic128Rsa15,
-        'Basic256': SecurityPolicy.Basic256,
-        'Basic256Sha256': SecurityPolicy.Basic256Sha256
-      };
-
-      // Map security mode
-      const securityModeMap = {
-        'None': MessageSecurityMode.None,
-        'Sign': MessageSecurityMode.Sign,
-        'SignAndEncrypt': MessageSecurityMode.SignAndEncrypt
-      };
-
-      // Create client options
-      const clientOptions = {
-        applicationName: 'S7-1500 OPC UA Client',
-        connectionStrategy: {
-          initialDelay: 1000,
-          maxRetry: 3
-        },
-        securityMode: securityModeMap[securityMode] || MessageSecurityMode.None,
-        securityPolicy: securityPolicyMap[securityPolicy] || SecurityPolicy.None,
-        endpointMustExist: false
-      };
-
-      // Create client
-      this.client = OPCUAClient.create(clientOptions);
-
-      // Connect to endpoint
-      await this.client.connect(endpoint);
-      logger.info(`Connected to OPC UA server: ${endpoint}`);
-
-      // Create session based on auth type
-      let userIdentity;
-      if (authType === 'UserPassword' && username && password) {
-        userIdentity = {
-          userName: username,
-          password: password,
-          type: UserTokenType.UserName
-        };
-      } else {
-        userIdentity = { type: UserTokenType.Anonymous };
-      }
-
-      this.session = await this.client.createSession(userIdentity);
-      logger.info('OPC UA session created successfully');
-
-      // Set up session error handlers
-      this.session.on('session_closed', (statusCode) => {
-        logger.warn('Session closed:', statusCode);
-        this.isConnected = false;
-        this.handleConnectionLost('Session was closed by server');
-      });
-
-      this.session.on('keepalive', () => {
-        logger.debug('Keep-alive received');
-      });
-
-      this.session.on('keepalive_failure', () => {
-        logger.error('Keep-alive failure detected');
-        this.isConnected = false;
-        this.handleConnectionLost('Keep-alive failure - connection lost');
-      });
-
-      // Set up client error handlers
-      this.client.on('connection_lost', () => {
-        logger.error('Connection lost');
-        this.isConnected = false;
-        this.handleConnectionLost('Connection to PLC lost');
-      });
-
-      this.client.on('backoff', (retry, delay) => {
-        logger.warn(`Connection backoff: retry ${retry}, delay ${delay}ms`);
-      });
+      await this.openSession(config);
 
       this.isConnected = true;
       this.connectionConfig = config;
+      this.endpoint = config.endpoint;
+
+      if (config.index !== false) {
+        this.index.start(this.session);
+      }
 
       return {
         success: true,
         message: 'Connected to PLC successfully',
-        endpoint: endpoint
+        endpoint: config.endpoint
       };
     } catch (error) {
       logger.error('Connection error:', error);
@@ -137,7 +150,141 @@ class OPCUAClientManager {
       }
       
       await this.cleanup();
-      throw new Error(errorMessage);
+      throw error.status ? error : new Error(errorMessage);
+    }
+  }
+
+  /**
+   * Create the OPC UA client and session for a connection config
+   * maxRetry: connection retries of the client itself (reconnects use their own backoff)
+   * Handlers ignore events of a client that has since been replaced or closed
+   */
+  async openSession(config, maxRetry = 3) {
+    const { endpoint, securityPolicy, securityMode, authType, username, password } = config;
+
+    // Resolve the user certificate first so key store errors are reported as such
+    const userCertificate = authType === 'Certificate' ? pki.getUserCertificate(config) : null;
+
+    // Map security policy
+    const securityPolicyMap = {
+      'None': SecurityPolicy.None,
+      'Basic128Rsa15': SecurityPolicy.Basic128Rsa15,
+      'Basic256': SecurityPolicy.Basic256,
+      'Basic256Sha256': SecurityPolicy.Basic256Sha256,
+      'Aes128_Sha256_RsaOaep': SecurityPolicy.Aes128_Sha256_RsaOaep,
+      'Aes256_Sha256_RsaPss': SecurityPolicy.Aes256_Sha256_RsaPss
+    };
+
+    // Map security mode
+    const securityModeMap = {
+      'None': MessageSecurityMode.None,
+      'Sign': MessageSecurityMode.Sign,
+      'SignAndEncrypt': MessageSecurityMode.SignAndEncrypt
+    };
+
+    // Create client options (application certificate and trust lists from the PKI folder)
+    const clientOptions = {
+      ...pki.getClientOptions(),
+      connectionStrategy: {
+        initialDelay: 1000,
+        maxRetry: maxRetry
+      },
+      securityMode: securityModeMap[securityMode] || MessageSecurityMode.None,
+      securityPolicy: securityPolicyMap[securityPolicy] || SecurityPolicy.None,
+      endpointMustExist: false
+    };
+
+    // Create client
+    const client = OPCUAClient.create(clientOptions);
+    this.client = client;
+
+    // Connect to endpoint
+    await client.connect(endpoint);
+    logger.info(`Connected to OPC UA server: ${endpoint}`);
+
+    // Create session based on auth type
+    let userIdentity;
+    if (authType === 'UserPassword' && username && password) {
+      userIdentity = {
+        userName: username,
+        password: password,
+        type: UserTokenType.UserName
+      };
+    } else if (authType === 'Certificate') {
+      userIdentity = {
+        certificateData: userCertificate.certificate,
+        privateKey: userCertificate.privateKey,
+        type: UserTokenType.Certificate
+      };
+    } else {
+      userIdentity = { type: UserTokenType.Anonymous };
+    }
+
+    const session = await client.createSession(userIdentity);
+    this.session = session;
+    logger.info('OPC UA session created successfully');
+
+    // Namespace indexes may change when the server restarts, nsu= node ids are resolved against the current array
+    try {
+      this.namespaceArray = await readNamespaceArray(session);
+    } catch (err) {
+      logger.warn(`NamespaceArray not available: ${err.message}`);
+      this.namespaceArray = [];
+    }
+
+    const isCurrent = () => this.client === client;
+
+    // Set up session error handlers
+    session.on('session_closed', (statusCode) => {
+      if (!isCurrent()) return;
+      logger.warn('Session closed:', statusCode);
+      this.handleConnectionLost('Session was closed by server');
+    });
+
+    session.on('keepalive', () => {
+      logger.debug('Keep-alive received');
+    });
+
+    session.on('keepalive_failure', () => {
+      if (!isCurrent()) return;
+      logger.error('Keep-alive failure detected');
+      this.handleConnectionLost('Keep-alive failure - connection lost');
+    });
+
+    // Set up client error handlers
+    client.on('connection_lost', () => {
+      if (!isCurrent()) return;
+      logger.error('Connection lost');
+      this.handleConnectionLost('Connection to PLC lost');
+    });
+
+    client.on('backoff', (retry, delay) => {
+      logger.warn(`Connection backoff: retry ${retry}, delay ${delay}ms`);
+    });
+  }
+
+  /**
+   * Close the session and client, keeping registered nodes and subscriptions
+   */
+  async closeSession() {
+    const { client, session } = this;
+    this.client = null;
+    this.session = null;
+    this.index.detach();
+
+    if (session) {
+      try {
+        await session.close();
+      } catch (err) {
+        logger.debug(`Session close failed: ${err.message}`);
+      }
+    }
+    if (client) {
+      try {
+        await client.disconnect();
+      } catch (err) {
+        logger.debug(`Client disconnect failed: ${err.message}`);
+      }
     }
   }
 
@@ -158,25 +305,33 @@ class OPCUAClientManager {
     }
   }
 
+  /**
+   * NodeId as the server knows it: expanded node ids ("nsu=<namespace URI>;...") get the current namespace index
+   */
+  toServerNodeId(nodeId) {
+    return toIndexedNodeId(nodeId, this.namespaceArray);
+  }
+
   /**
    * Read a variable from PLC
+   * options.indexRange reads part of an array (e.g. "10:19")
    */
-  async readVariable(nodeId) {
+  async readVariable(nodeId, options = {}) {
     try {
       if (!this.isConnected || !this.session) {
         throw new Error('Not connected to PLC');
       }
 
       const dataValue = await this.session.read({
-        nodeId: nodeId,
-        attributeId: AttributeIds.Value
+        nodeId: this.toServerNodeId(nodeId),
+        attributeId: AttributeIds.Value,
+        indexRange: options.indexRange ? parseIndexRange(options.indexRange) : undefined
       });
 
       if (dataValue.statusCode.isGood()) {
         return {
           success: true,
-          value: dataValue.value.value,
-          dataType: DataType[dataValue.value.dataType],
+          ...formatVariant(dataValue.value),
           statusCode: dataValue.statusCode.toString(),
           timestamp: dataValue.serverTimestamp || new Date().toISOString()
         };
@@ -200,48 +355,117 @@ class OPCUAClientManager {
   }
 
   /**
-   * Write a variable to PLC
+   * Read many nodes with a single OPC UA read request
+   * Each item gets its own result, a bad node does not fail the whole batch
    */
-  async writeVariable(nodeId, value, dataType = 'Double') {
+  async readMultiple(nodeIds, attributeIds = [], indexRanges = []) {
     try {
       if (!this.isConnected || !this.session) {
         throw new Error('Not connected to PLC');
       }
 
-      // Map dataType string to DataType enum (support various OPC UA type names)
-      const dataTypeLower = (dataType || 'Double').toLowerCase();
-      let mappedDataType = DataType.Double; // default
-      let parsedValue = value;
-
-      if (dataTypeLower.includes('bool')) {
-        mappedDataType = DataType.Boolean;
-      } else if (dataTypeLower.includes('byte') || dataTypeLower.includes('sbyte')) {
-        mappedDataType = DataType.Byte;
-      } else if (dataTypeLower.includes('int16')) {
-        mappedDataType = DataType.Int16;
-      } else if (dataTypeLower.includes('uint16') || dataTypeLower.includes('word')) {
-        mappedDataType = DataType.UInt16;
-      } else if (dataTypeLower.includes('int32') || dataTypeLower.includes('int') || dataTypeLower.includes('dint')) {
-        mappedDataType = DataType.Int32;
-      } else if (dataTypeLower.includes('uint32') || dataTypeLower.includes('dword')) {
-        mappedDataType = DataType.UInt32;
-      } else if (dataTypeLower.includes('float') || dataTypeLower.includes('real')) {
-        mappedDataType = DataType.Float;
-      } else if (dataTypeLower.includes('double') || dataTypeLower.includes('lreal')) {
-        mappedDataType = DataType.Double;
-      } else if (dataTypeLower.includes('string')) {
-        mappedDataType = DataType.String;
-        parsedValue = String(value);
+      const results = new Array(nodeIds.length);
+      const nodesToRead = [];
+      const indexes = [];
+
+      nodeIds.forEach((nodeId, i) => {
+        const attribute = attributeIds[i] === undefined ? 'Value' : attributeIds[i];
+        const attributeId = typeof attribute === 'number' ? attribute : AttributeIds[attribute];
+
+        if (!attributeId || !AttributeIds[attributeId]) {
+          results[i] = { nodeId, attributeId: attribute, success: false, error: `Unknown attributeId: ${attribute}` };
+          return;
+        }
+
+        // Reject malformed nodeIds per item, otherwise the whole request would throw
+        let serverNodeId;
+        try {
+          serverNodeId = this.toServerNodeId(nodeId);
+          resolveNodeId(serverNodeId);
+        } catch (err) {
+          results[i] = { nodeId, attributeId: AttributeIds[attributeId], success: false, error: err.status ? err.message : `Invalid nodeId: ${err.message}` };
+          return;
+        }
+
+        let indexRange;
+        try {
+          indexRange = indexRanges[i] ? parseIndexRange(indexRanges[i]) : undefined;
+        } catch (err) {
+          results[i] = { nodeId, attributeId: AttributeIds[attributeId], success: false, error: err.message };
+          return;
+        }
+
+        nodesToRead.push({ nodeId: serverNodeId, attributeId, indexRange });
+        indexes.push(i);
+      });
+
+      if (nodesToRead.length > 0) {
+        const dataValues = await this.session.read(nodesToRead);
+
+        dataValues.forEach((dataValue, j) => {
+          const { attributeId } = nodesToRead[j];
+          const item = {
+            nodeId: nodeIds[indexes[j]],
+            attributeId: AttributeIds[attributeId],
+            success: dataValue.statusCode.isGood(),
+            statusCode: dataValue.statusCode.toString()
+          };
+
+          if (item.success) {
+            Object.assign(item, formatVariant(dataValue.value));
+            item.timestamp = dataValue.serverTimestamp || new Date().toISOString();
+          } else {
+            item.error = `Read failed: ${dataValue.statusCode.toString()}`;
+          }
+
+          results[indexes[j]] = item;
+        });
+      }
+
+      const failed = results.filter(r => !r.success).length;
+      logger.info(`Read multiple: ${results.length} item(s), ${failed} failed`);
+
+      return {
+        success: true,
+        results: results,
+        count: results.length,
+        failed: failed
+      };
+    } catch (error) {
+      logger.error('Read multiple error:', error);
+
+      // If read fails due to connection issue, mark as disconnected
+      if (error.message.includes('BadSessionClosed') ||
+          error.message.includes('BadConnectionClosed') ||
+          error.message.includes('ECONNREFUSED') ||
+          error.message.includes('ETIMEDOUT')) {
+        this.isConnected = false;
+        this.handleConnectionLost('Read multiple operation failed - connection lost');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Write a variable to PLC
+   * The value is converted to the node's own data type
+   * options.indexRange writes part of an array (e.g. "10:19")
+   */
+  async writeVariable(nodeId, value, options = {}) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
       }
 
+      const serverNodeId = this.toServerNodeId(nodeId);
+      const indexRange = options.indexRange ? parseIndexRange(options.indexRange) : undefined;
       const nodeToWrite = {
-        nodeId: nodeId,
+        nodeId: serverNodeId,
         attributeId: AttributeIds.Value,
+        indexRange: indexRange,
         value: {
-          value: {
-            dataType: mappedDataType,
-            value: parsedValue
-          }
+          value: await this.buildVariant(serverNodeId, value, indexRange)
         }
       };
 
@@ -263,312 +487,1636 @@ class OPCUAClientManager {
   }
 
   /**
-   * Browse nodes
+   * Get the data types of nodes, reading DataType/ValueRank only for nodes not cached yet
+   * Returns one entry per nodeId: { dataType, dataTypeId, valueRank } or { error }
    */
-  async browseNodes(nodeId = 'RootFolder') {
+  async getNodeTypes(nodeIds) {
+    const missing = [...new Set(nodeIds.filter(nodeId => !this.nodeTypes.has(nodeId)))];
+    const errors = new Map();
+
+    if (missing.length > 0) {
+      const dataValues = await this.session.read(missing.flatMap(nodeId => [
+        { nodeId: this.toServerNodeId(nodeId), attributeId: AttributeIds.DataType },
+        { nodeId: this.toServerNodeId(nodeId), attributeId: AttributeIds.ValueRank }
+      ]));
+
+      for (let i = 0; i < missing.length; i++) {
+        const dataTypeValue = dataValues[i * 2];
+        const valueRankValue = dataValues[i * 2 + 1];
+
+        if (!dataTypeValue.statusCode.isGood()) {
+          errors.set(missing[i], `Node not accessible: ${dataTypeValue.statusCode.toString()}`);
+          continue;
+        }
+
+        const valueRank = valueRankValue.statusCode.isGood() ? valueRankValue.value.value : -1;
+        this.nodeTypes.set(missing[i], await this.buildNodeType(dataTypeValue.value.value, valueRank));
+      }
+    }
+
+    return nodeIds.map(nodeId => this.nodeTypes.get(nodeId) || { error: errors.get(nodeId) });
+  }
+
+  /**
+   * Build the type description used to coerce JSON values
+   */
+  async buildNodeType(dataTypeId, valueRank) {
+    const nodeType = {
+      dataType: await resolveBuiltInType(this.session, dataTypeId),
+      dataTypeId: dataTypeId.toString(),
+      valueRank: valueRank
+    };
+
+    // Structures (e.g. PLC UDTs) are encoded with the constructor built from the server's DataTypeDefinition
+    if (nodeType.dataType === DataType.ExtensionObject) {
+      nodeType.structure = await this.getStructureConstructor(dataTypeId);
+    }
+
+    return nodeType;
+  }
+
+  /**
+   * Get the ExtensionObject constructor of a structure DataType
+   * node-opcua loads the server's DataTypeDefinitions on first use
+   * Returns null for abstract or unknown structure types
+   */
+  async getStructureConstructor(dataTypeId) {
     try {
-      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
-      logger.info(`Browsing node: ${nodeId}`);
+      return await this.session.getExtensionObjectConstructor(resolveNodeId(dataTypeId));
+    } catch (err) {
+      logger.warn(`No structure definition for ${dataTypeId}: ${err.message}`);
+      return null;
+    }
+  }
 
-      const browseDescription = {
-        nodeId,
-        browseDirection: BrowseDirection.Forward,
-        referenceTypeId: resolveNodeId("HierarchicalReferences"),
-        includeSubtypes: true,
-        nodeClassMask: 0,
-        resultMask: 0x3F
-      };
+  /**
+   * Describe the fields of a structure DataType (for building faceplate forms)
+   */
+  async getStructureDefinition(dataTypeId) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
+      }
 
-      const allReferences = [];
-      let browseResult = await this.session.browse(browseDescription);
-      logger.info(`Browse status: ${browseResult.statusCode.toString()} refs: ${browseResult.references?.length || 0}`);
-      if (browseResult.references) allReferences.push(...browseResult.references);
-      let cp = browseResult.continuationPoint;
-      let safetyCounter = 0;
-      while (cp && cp.length && safetyCounter < 20) {
-        const next = await this.session.browseNext(cp, false);
-        logger.info(`browseNext refs: ${next.references?.length || 0}`);
-        if (next.references) allReferences.push(...next.references);
-        cp = next.continuationPoint;
-        safetyCounter++;
-      }
-      if (cp && cp.length) logger.warn('Remaining continuationPoint not fully read (limit reached)');
+      const Constructor = await this.getStructureConstructor(dataTypeId);
+      if (!Constructor) {
+        throw new ApiError(404, `Structure definition not found: ${dataTypeId}`);
+      }
 
-      const getNodeClassName = (nodeClass) => {
-        const map = {
-          [NodeClass.Object]: 'Object',
-          [NodeClass.Variable]: 'Variable',
-          [NodeClass.Method]: 'Method',
-          [NodeClass.ObjectType]: 'ObjectType',
-          [NodeClass.VariableType]: 'VariableType',
-          [NodeClass.ReferenceType]: 'ReferenceType',
-          [NodeClass.DataType]: 'DataType',
-          [NodeClass.View]: 'View'
-        };
-        return map[nodeClass] || 'Unknown';
+      const describe = (schema) => schema.fields.map(field => ({
+        name: field.originalName || field.name,
+        dataType: field.fieldType,
+        isArray: !!field.isArray,
+        ...(field.category === 'complex' ? { fields: describe(field.schema) } : {})
+      }));
+
+      return {
+        success: true,
+        dataTypeId: dataTypeId,
+        name: Constructor.schema.name,
+        fields: describe(Constructor.schema)
       };
+    } catch (error) {
+      logger.error('Get structure definition error:', error);
+      throw error;
+    }
+  }
 
-      const nodes = allReferences.map((ref, i) => {
-        const node = {
-          nodeId: ref.nodeId.toString(),
-          browseName: ref.browseName.toString(),
-          displayName: ref.displayName?.text || ref.browseName.toString(),
-          nodeClass: getNodeClassName(ref.nodeClass),
-          isForward: ref.isForward,
-          referenceTypeId: ref.referenceTypeId?.toString()
+  /**
+   * Get the data type of a single node (cached)
+   */
+  async getNodeType(nodeId) {
+    const [nodeType] = await this.getNodeTypes([nodeId]);
+    if (nodeType.error) {
+      throw new ApiError(404, `${nodeType.error} (${nodeId})`);
+    }
+    return nodeType;
+  }
+
+  /**
+   * Build the Variant for a write from a JSON value and the node's data type
+   * Throws ApiError(400) when the value does not fit
+   */
+  async buildVariant(nodeId, value, indexRange) {
+    return this.variantForType(await this.getNodeType(nodeId), value, indexRange);
+  }
+
+  /**
+   * Build a Variant from a JSON value for a known node type
+   * JSON arrays become Array variants, nested arrays Matrix variants,
+   * JSON objects become structures (ExtensionObjects)
+   */
+  variantForType(nodeType, value, indexRange) {
+    const { dataType, valueRank } = nodeType;
+
+    const coerce = (element) => {
+      if (dataType !== DataType.ExtensionObject) {
+        return coerceValue(dataType, element);
+      }
+      if (!nodeType.structure) {
+        throw new ApiError(400, `Structure definition not available for DataType ${nodeType.dataTypeId}`);
+      }
+      return new nodeType.structure(structureFromJSON(nodeType.structure.schema, element));
+    };
+
+    if (!Array.isArray(value)) {
+      if (indexRange) {
+        value = [value]; // Single element written through an IndexRange
+      } else if (valueRank === -1 || valueRank === -2 || valueRank === -3) { // Scalar, Any, ScalarOrOneDimension
+        return {
+          dataType: dataType,
+          arrayType: VariantArrayType.Scalar,
+          value: coerce(value)
         };
-        if (i < 10) logger.info(`Node ${i}: ${node.displayName} (${node.nodeClass}) - ${node.nodeId}`);
-        return node;
+      } else {
+        throw new ApiError(400, `Node holds an array (ValueRank ${valueRank}), expected a JSON array`);
+      }
+    }
+
+    if (valueRank === -1) {
+      throw new ApiError(400, 'Node holds a scalar value, got an array');
+    }
+
+    const { elements, dimensions } = flattenArray(value);
+    if (valueRank > 0 && dimensions.length !== valueRank) {
+      throw new ApiError(400, `Node expects ${valueRank} dimension(s), got ${dimensions.length}`);
+    }
+
+    const coerced = elements.map((element, i) => {
+      try {
+        return coerce(element);
+      } catch (err) {
+        throw new ApiError(400, `Element ${i}: ${err.message}`);
+      }
+    });
+
+    if (dimensions.length === 1) {
+      return { dataType, arrayType: VariantArrayType.Array, value: coerced };
+    }
+    return { dataType, arrayType: VariantArrayType.Matrix, dimensions, value: coerced };
+  }
+
+  /**
+   * Write many values with a single OPC UA write request
+   * Items: { nodeId | registeredId, value, indexRange }, each value is converted to its node's data type
+   * With options.validate every target is checked (exists, writable, value fits its type)
+   * before anything is written; one invalid item rejects the whole batch.
+   */
+  async writeMultiple(items, options = {}) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
+      }
+
+      const targets = await this.prepareWriteTargets(items);
+
+      if (options.validate) {
+        const validation = await this.validateWriteTargets(targets);
+        const invalid = validation.filter(v => !v.valid);
+
+        if (invalid.length > 0) {
+          logger.warn(`Write multiple validation failed: ${invalid.length} of ${items.length} item(s) invalid`);
+          return {
+            success: false,
+            error: 'Validation failed, nothing was written',
+            results: validation,
+            count: validation.length,
+            failed: invalid.length
+          };
+        }
+      }
+
+      const results = new Array(items.length);
+      const nodesToWrite = [];
+      const indexes = [];
+
+      targets.forEach((target, i) => {
+        if (target.error) {
+          results[i] = { nodeId: target.nodeId, success: false, error: target.error };
+          return;
+        }
+
+        nodesToWrite.push({
+          nodeId: target.serverNodeId,
+          attributeId: AttributeIds.Value,
+          indexRange: target.indexRange,
+          value: { value: target.variant }
+        });
+        indexes.push(i);
       });
 
-      logger.info(`Browse result: Found ${nodes.length} total nodes under ${nodeId}`);
-      logger.info(`Names: ${nodes.map(n => n.displayName).join(', ')}`);
-      return { success: true, nodes };
+      if (nodesToWrite.length > 0) {
+        const statusCodes = await this.session.write(nodesToWrite);
+
+        statusCodes.forEach((statusCode, j) => {
+          results[indexes[j]] = {
+            nodeId: targets[indexes[j]].nodeId,
+            success: statusCode.isGood(),
+            statusCode: statusCode.toString()
+          };
+        });
+      }
+
+      const failed = results.filter(r => !r.success).length;
+      logger.info(`Write multiple: ${results.length} item(s), ${failed} failed`);
+
+      return {
+        success: true,
+        results: results,
+        count: results.length,
+        failed: failed
+      };
     } catch (error) {
-      logger.error('Browse error:', error);
-      logger.error('Browse error stack:', error.stack);
+      logger.error('Write multiple error:', error);
       throw error;
     }
   }
 
   /**
-   * Translate browse path to NodeId
-   * Search for nodes by browseName path (e.g., "Objects.DataBlocksGlobal.DB_Data")
+   * Resolve writeMultiple items to { nodeId, serverNodeId, dataType, variant } or { nodeId, error }
+   * Registered nodes are written through their server ID, their type is read from the original node
+   */
+  async prepareWriteTargets(items) {
+    const targets = items.map((item) => {
+      const isRegistered = item.registeredId !== undefined;
+      const nodeInfo = isRegistered ? this.registeredNodes.get(item.registeredId) : null;
+      const target = {
+        nodeId: isRegistered ? item.registeredId : item.nodeId,
+        typeNodeId: isRegistered ? nodeInfo?.originalNodeId : item.nodeId,
+        value: item.value,
+        error: null
+      };
+
+      if (isRegistered && !nodeInfo) {
+        target.error = `Registered node not found: ${item.registeredId}`;
+      } else if (item.value === undefined || item.value === null) {
+        target.error = 'value is required';
+      } else {
+        try {
+          target.serverNodeId = isRegistered ? nodeInfo.serverNodeId : this.toServerNodeId(target.nodeId);
+          resolveNodeId(target.serverNodeId);
+          target.indexRange = item.indexRange ? parseIndexRange(item.indexRange) : undefined;
+        } catch (err) {
+          target.error = err.status ? err.message : `Invalid nodeId: ${err.message}`;
+        }
+      }
+      return target;
+    });
+
+    const pending = targets.filter(t => !t.error);
+    const nodeTypes = await this.getNodeTypes(pending.map(t => t.typeNodeId));
+
+    pending.forEach((target, j) => {
+      const nodeType = nodeTypes[j];
+      if (nodeType.error) {
+        target.error = nodeType.error;
+        return;
+      }
+
+      target.dataType = DataType[nodeType.dataType];
+      try {
+        target.variant = this.variantForType(nodeType, target.value, target.indexRange);
+      } catch (err) {
+        target.error = err.message;
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Validation pass for writeMultiple
+   * Types were checked while preparing the targets; this also checks UserAccessLevel
+   */
+  async validateWriteTargets(targets) {
+    const pending = targets.filter(t => !t.error);
+    const dataValues = pending.length > 0
+      ? await this.session.read(pending.map(t => ({ nodeId: t.serverNodeId, attributeId: AttributeIds.UserAccessLevel })))
+      : [];
+
+    pending.forEach((target, j) => {
+      const accessLevel = dataValues[j].statusCode.isGood() ? dataValues[j].value.value : 0;
+      if (!(accessLevel & 0x02)) { // CurrentWrite bit
+        target.error = 'Node is not writable';
+      }
+    });
+
+    return targets.map(target => target.error
+      ? { nodeId: target.nodeId, valid: false, dataType: target.dataType, error: target.error }
+      : { nodeId: target.nodeId, valid: true, dataType: target.dataType });
+  }
+
+  /**
+   * Read historical values of a node (HistoryRead)
+   * mode 'raw': values between start and end, paged with maxValues / continuationPoint
+   * mode 'processed': one aggregate value (Average, Minimum, ...) per processingInterval
+   * mode 'atTime': interpolated values at the given timestamps
+   */
+  async readHistory(nodeId, options = {}) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
+      }
+
+      const mode = options.mode || 'raw';
+      const { details, aggregate } = this.buildHistoryReadDetails(mode, options);
+
+      const response = await this.session.historyRead(new HistoryReadRequest({
+        historyReadDetails: details,
+        timestampsToReturn: TimestampsToReturn.Both,
+        releaseContinuationPoints: !!options.releaseContinuationPoint,
+        nodesToRead: [{
+          nodeId: this.toServerNodeId(nodeId),
+          indexRange: options.indexRange ? parseIndexRange(options.indexRange) : undefined,
+          continuationPoint: options.continuationPoint ? Buffer.from(options.continuationPoint, 'base64') : null
+        }]
+      }));
+
+      const result = response.results[0];
+      if (result.statusCode.isNotGood()) {
+        throw new Error(`History read failed: ${result.statusCode.toString()}`);
+      }
+
+      if (options.releaseContinuationPoint) {
+        return {
+          success: true,
+          nodeId: nodeId,
+          message: 'Continuation point released'
+        };
+      }
+
+      const values = (result.historyData?.dataValues || []).map(dataValue => {
+        const { value, dataType } = formatVariant(dataValue.value);
+        return {
+          timestamp: dataValue.sourceTimestamp || dataValue.serverTimestamp,
+          value: value,
+          dataType: dataType,
+          statusCode: dataValue.statusCode.toString()
+        };
+      });
+
+      return {
+        success: true,
+        nodeId: nodeId,
+        mode: mode,
+        aggregate: aggregate,
+        values: values,
+        count: values.length,
+        statusCode: result.statusCode.toString(),
+        continuationPoint: result.continuationPoint && result.continuationPoint.length > 0
+          ? result.continuationPoint.toString('base64')
+          : null
+      };
+    } catch (error) {
+      logger.error('History read error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the HistoryReadDetails of a history read mode
+   */
+  buildHistoryReadDetails(mode, options) {
+    const toDate = (value, name) => {
+      const date = new Date(value);
+      if (value === undefined || value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be an ISO 8601 string or epoch milliseconds`);
+      }
+      return date;
+    };
+
+    switch (mode) {
+      case 'raw':
+        return {
+          details: new ReadRawModifiedDetails({
+            isReadModified: false,
+            startTime: toDate(options.start, 'start'),
+            endTime: toDate(options.end, 'end'),
+            numValuesPerNode: options.maxValues || 0,
+            returnBounds: !!options.returnBounds
+          })
+        };
+
+      case 'processed': {
+        const aggregate = AGGREGATE_ALIASES[options.aggregate] || options.aggregate;
+        const aggregateType = typeof aggregate === 'string' && isNaN(Number(aggregate)) ? AggregateFunction[aggregate] : undefined;
+        if (aggregateType === undefined) {
+          throw new ApiError(400, `Unknown aggregate: ${options.aggregate}`);
+        }
+        if (!(options.processingInterval > 0)) {
+          throw new ApiError(400, 'processingInterval (ms) must be a positive number');
+        }
+
+        return {
+          aggregate: aggregate,
+          details: new ReadProcessedDetails({
+            startTime: toDate(options.start, 'start'),
+            endTime: toDate(options.end, 'end'),
+            processingInterval: options.processingInterval,
+            aggregateType: [makeNodeId(aggregateType)],
+            aggregateConfiguration: { useServerCapabilitiesDefaults: true }
+          })
+        };
+      }
+
+      case 'atTime':
+        if (!Array.isArray(options.timestamps) || options.timestamps.length === 0) {
+          throw new ApiError(400, 'timestamps must be a non-empty array');
+        }
+        return {
+          details: new ReadAtTimeDetails({
+            reqTimes: options.timestamps.map((time, i) => toDate(time, `timestamps[${i}]`)),
+            useSimpleBounds: options.useSimpleBounds !== false
+          })
+        };
+
+      default:
+        throw new ApiError(400, `Unknown history read mode: ${mode} (expected raw, processed or atTime)`);
+    }
+  }
+
+  /**
+   * Browse nodes
+   */
+  async browseNodes(nodeId = 'RootFolder') {
+    try {
+      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+      logger.info(`Browsing node: ${nodeId}`);
+
+      // All continuation points are followed, large folders are returned completely
+      const [browseResult] = await browseAll(this.session, [this.toServerNodeId(nodeId)], {
+        browseDirection: BrowseDirection.Forward,
+        referenceTypeId: resolveNodeId("HierarchicalReferences"),
+        includeSubtypes: true,
+        nodeClassMask: 0
+      });
+      const allReferences = browseResult.references;
+      logger.info(`Browse status: ${browseResult.statusCode.toString()} refs: ${allReferences.length}`);
+
+      const getNodeClassName = (nodeClass) => {
+        const map = {
+          [NodeClass.Object]: 'Object',
+          [NodeClass.Variable]: 'Variable',
+          [NodeClass.Method]: 'Method',
+          [NodeClass.ObjectType]: 'ObjectType',
+          [NodeClass.VariableType]: 'VariableType',
+          [NodeClass.ReferenceType]: 'ReferenceType',
+          [NodeClass.DataType]: 'DataType',
+          [NodeClass.View]: 'View'
+        };
+        return map[nodeClass] || 'Unknown';
+      };
+
+      const nodes = allReferences.map((ref, i) => {
+        const node = {
+          nodeId: ref.nodeId.toString(),
+          browseName: ref.browseName.toString(),
+          displayName: ref.displayName?.text || ref.browseName.toString(),
+          nodeClass: getNodeClassName(ref.nodeClass),
+          isForward: ref.isForward,
+          referenceTypeId: ref.referenceTypeId?.toString()
+        };
+        if (i < 10) logger.info(`Node ${i}: ${node.displayName} (${node.nodeClass}) - ${node.nodeId}`);
+        return node;
+      });
+
+      logger.info(`Browse result: Found ${nodes.length} total nodes under ${nodeId}`);
+      logger.info(`Names: ${nodes.map(n => n.displayName).join(', ')}`);
+      return { success: true, nodes };
+    } catch (error) {
+      logger.error('Browse error:', error);
+      logger.error('Browse error stack:', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Browse the tree below a node, see browse.walk() for the options
+   * Returns the nested tree, or with onNode streams the nodes flat ({ depth, parentNodeId, ...node }) as they are browsed
+   */
+  async browseTree(nodeId, options, onNode = null) {
+    try {
+      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+      logger.info(`Browsing tree: ${nodeId}, maxDepth: ${options.maxDepth}`);
+
+      let tree = null;
+      const result = await walk(this.session, this.toServerNodeId(nodeId), options, (node, parent, depth) => {
+        if (onNode) {
+          onNode({ depth, parentNodeId: parent ? parent.nodeId : null, ...node });
+        } else if (parent) {
+          parent.children.push(node);
+        } else {
+          tree = node;
+        }
+      });
+
+      logger.info(`Browse tree result: ${result.nodeCount} nodes under ${nodeId}${result.truncated ? ' (truncated)' : ''}`);
+      return {
+        success: true,
+        nodeId: nodeId,
+        tree: tree,
+        nodeCount: result.nodeCount,
+        truncated: result.truncated
+      };
+    } catch (error) {
+      logger.error('Browse tree error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read all attributes of a node plus the EngineeringUnits, EURange and EnumStrings properties
+   */
+  async getNodeDetails(nodeId) {
+    try {
+      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+
+      const attributes = [
+        'NodeClass', 'BrowseName', 'DisplayName', 'Description', 'DataType', 'ValueRank', 'ArrayDimensions',
+        'AccessLevel', 'UserAccessLevel', 'MinimumSamplingInterval', 'Historizing'
+      ];
+      const serverNodeId = this.toServerNodeId(nodeId);
+      const dataValues = await this.session.read(attributes.map(name => ({
+        nodeId: serverNodeId,
+        attributeId: AttributeIds[name]
+      })));
+
+      if (!dataValues[0].statusCode.isGood()) {
+        throw new ApiError(404, `Node not found: ${nodeId} (${dataValues[0].statusCode.toString()})`);
+      }
+
+      // Attributes that do not apply to the node class (e.g. AccessLevel on an Object) are left out
+      const attr = {};
+      attributes.forEach((name, i) => {
+        if (dataValues[i].statusCode.isGood()) {
+          attr[name] = dataValues[i].value.value;
+        }
+      });
+
+      const details = {
+        nodeId: nodeId,
+        expandedNodeId: toExpandedNodeId(serverNodeId, this.namespaceArray),
+        nodeClass: NodeClass[attr.NodeClass],
+        browseName: attr.BrowseName?.toString(),
+        displayName: attr.DisplayName?.text || attr.BrowseName?.toString(),
+        description: attr.Description?.text || null
+      };
+
+      if (attr.DataType) {
+        const dataTypeName = await this.session.read({ nodeId: attr.DataType, attributeId: AttributeIds.BrowseName });
+        const builtInType = await resolveBuiltInType(this.session, attr.DataType);
+        details.dataType = {
+          nodeId: attr.DataType.toString(),
+          name: dataTypeName.statusCode.isGood() ? dataTypeName.value.value.name : null,
+          builtInType: DataType[builtInType]
+        };
+      }
+
+      if (attr.ValueRank !== undefined) {
+        details.valueRank = attr.ValueRank;
+        details.arrayDimensions = attr.ArrayDimensions ? Array.from(attr.ArrayDimensions) : null;
+      }
+
+      // AccessLevel bits: 0x01 CurrentRead, 0x02 CurrentWrite, 0x04 HistoryRead, 0x08 HistoryWrite
+      const decodeAccessLevel = (level) => ({
+        value: level,
+        readable: !!(level & 0x01),
+        writable: !!(level & 0x02),
+        historyReadable: !!(level & 0x04),
+        historyWritable: !!(level & 0x08)
+      });
+      if (attr.AccessLevel !== undefined) details.accessLevel = decodeAccessLevel(attr.AccessLevel);
+      if (attr.UserAccessLevel !== undefined) details.userAccessLevel = decodeAccessLevel(attr.UserAccessLevel);
+      if (attr.MinimumSamplingInterval !== undefined) details.minimumSamplingInterval = attr.MinimumSamplingInterval;
+      if (attr.Historizing !== undefined) details.historizing = attr.Historizing;
+
+      Object.assign(details, await this.readAnalogProperties(serverNodeId));
+
+      return { success: true, node: details };
+    } catch (error) {
+      logger.error('Get node details error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the EngineeringUnits, EURange and EnumStrings properties of a variable where they exist
+   */
+  async readAnalogProperties(nodeId) {
+    const browseResult = await this.session.browse({
+      nodeId,
+      browseDirection: BrowseDirection.Forward,
+      referenceTypeId: resolveNodeId('HasProperty'),
+      includeSubtypes: true,
+      nodeClassMask: 0,
+      resultMask: 0x3F
+    });
+
+    const wanted = ['EngineeringUnits', 'EURange', 'EnumStrings'];
+    const properties = (browseResult.references || []).filter(ref => wanted.includes(ref.browseName.name));
+    if (properties.length === 0) {
+      return {};
+    }
+
+    const dataValues = await this.session.read(properties.map(ref => ({
+      nodeId: ref.nodeId,
+      attributeId: AttributeIds.Value
+    })));
+
+    const result = {};
+    properties.forEach((ref, i) => {
+      const dataValue = dataValues[i];
+      if (!dataValue.statusCode.isGood() || !dataValue.value.value) {
+        return;
+      }
+
+      const value = dataValue.value.value;
+      switch (ref.browseName.name) {
+        case 'EngineeringUnits':
+          result.engineeringUnits = {
+            displayName: value.displayName?.text || null,
+            description: value.description?.text || null,
+            unitId: value.unitId,
+            namespaceUri: value.namespaceUri
+          };
+          break;
+        case 'EURange':
+          result.euRange = { low: value.low, high: value.high };
+          break;
+        case 'EnumStrings':
+          result.enumStrings = Array.from(value, text => text.text);
+          break;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Get the input and output arguments of a method (cached)
+   * Each argument carries its type description for coercion
+   */
+  async getMethodSignature(methodId) {
+    if (this.methodSignatures.has(methodId)) {
+      return this.methodSignatures.get(methodId);
+    }
+
+    const serverMethodId = this.toServerNodeId(methodId);
+    const nodeClass = await this.session.read({ nodeId: serverMethodId, attributeId: AttributeIds.NodeClass });
+    if (!nodeClass.statusCode.isGood() || nodeClass.value.value !== NodeClass.Method) {
+      throw new ApiError(404, `Method not found: ${methodId}`);
+    }
+
+    const definition = await this.session.getArgumentDefinition(resolveNodeId(serverMethodId));
+    const describe = async (args) => Promise.all((args || []).map(async (arg) => ({
+      name: arg.name,
+      description: arg.description?.text || null,
+      dataTypeId: arg.dataType.toString(),
+      valueRank: arg.valueRank,
+      arrayDimensions: arg.arrayDimensions ? Array.from(arg.arrayDimensions) : null,
+      type: await this.buildNodeType(arg.dataType, arg.valueRank)
+    })));
+
+    const signature = {
+      inputArguments: await describe(definition.inputArguments),
+      outputArguments: await describe(definition.outputArguments)
+    };
+    this.methodSignatures.set(methodId, signature);
+    return signature;
+  }
+
+  /**
+   * Describe a method signature for UI form generation
+   */
+  async describeMethod(methodId) {
+    try {
+      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+
+      const signature = await this.getMethodSignature(methodId);
+      const describe = (args) => args.map(arg => ({
+        name: arg.name,
+        description: arg.description,
+        dataType: DataType[arg.type.dataType],
+        dataTypeId: arg.dataTypeId,
+        valueRank: arg.valueRank,
+        arrayDimensions: arg.arrayDimensions
+      }));
+
+      return {
+        success: true,
+        methodId: methodId,
+        inputArguments: describe(signature.inputArguments),
+        outputArguments: describe(signature.outputArguments)
+      };
+    } catch (error) {
+      logger.error('Describe method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Call a method on an object
+   * inputArguments: array in declaration order, or object keyed by argument name
+   * Values are converted to the declared argument types, outputs are returned by name
+   */
+  async callMethod(objectId, methodId, inputArguments = []) {
+    try {
+      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+
+      const signature = await this.getMethodSignature(methodId);
+      const declared = signature.inputArguments;
+
+      let values;
+      if (Array.isArray(inputArguments)) {
+        if (inputArguments.length !== declared.length) {
+          throw new ApiError(400, `Method expects ${declared.length} input argument(s), got ${inputArguments.length}`);
+        }
+        values = inputArguments;
+      } else {
+        const unknown = Object.keys(inputArguments).filter(name => !declared.some(arg => arg.name === name));
+        if (unknown.length > 0) {
+          throw new ApiError(400, `Unknown input argument(s): ${unknown.join(', ')}`);
+        }
+        const missing = declared.filter(arg => inputArguments[arg.name] === undefined);
+        if (missing.length > 0) {
+          throw new ApiError(400, `Missing input argument(s): ${missing.map(arg => arg.name).join(', ')}`);
+        }
+        values = declared.map(arg => inputArguments[arg.name]);
+      }
+
+      const variants = declared.map((arg, i) => {
+        try {
+          return this.variantForType(arg.type, values[i]);
+        } catch (err) {
+          throw new ApiError(400, `Argument ${arg.name}: ${err.message}`);
+        }
+      });
+
+      logger.info(`Calling method ${methodId} on ${objectId} with ${variants.length} argument(s)`);
+
+      const result = await this.session.call({
+        objectId: this.toServerNodeId(objectId),
+        methodId: this.toServerNodeId(methodId),
+        inputArguments: variants
+      });
+
+      if (!result.statusCode.isGood()) {
+        const argumentErrors = (result.inputArgumentResults || [])
+          .map((code, i) => code.isGood() ? null : `${declared[i]?.name}: ${code.toString()}`)
+          .filter(Boolean);
+        throw new Error(`Method call failed: ${result.statusCode.toString()}${argumentErrors.length ? ` (${argumentErrors.join(', ')})` : ''}`);
+      }
+
+      const outputs = {};
+      (result.outputArguments || []).forEach((variant, i) => {
+        const name = signature.outputArguments[i]?.name || `output${i}`;
+        outputs[name] = formatVariant(variant).value;
+      });
+
+      return {
+        success: true,
+        statusCode: result.statusCode.toString(),
+        outputArguments: outputs
+      };
+    } catch (error) {
+      logger.error('Call method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the NamespaceArray of the server (read when the session was created)
+   */
+  getNamespaces() {
+    if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+    return {
+      success: true,
+      namespaces: this.namespaceArray.map((namespaceUri, index) => ({ index, namespaceUri }))
+    };
+  }
+
+  /**
+   * Translate browse paths to NodeIds with one TranslateBrowsePathsToNodeIds call per TRANSLATE_BATCH_SIZE paths
+   * paths: dotted strings ("DataBlocksGlobal.DB_Data.Speed"), segment arrays (see namespaces.parseRelativePath)
+   * or { path, startingNode }
+   * options.startingNode (default ObjectsFolder), options.namespaceUri (namespace of unqualified names)
+   * Each path gets its own result with the nodeId and the expanded nodeId, which survives namespace index changes
+   */
+  async translateBrowsePaths(paths, options = {}) {
+    try {
+      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+
+      const defaultIndex = defaultNamespaceIndex(this.namespaceArray, options.namespaceUri);
+      const specs = paths.map(entry => entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : { path: entry });
+      const results = new Array(specs.length);
+      const browsePaths = [];
+      const indexes = [];
+
+      specs.forEach((spec, i) => {
+        try {
+          const targetNames = parseRelativePath(spec.path, this.namespaceArray, defaultIndex);
+          browsePaths.push({
+            startingNode: resolveNodeId(this.toServerNodeId(spec.startingNode || options.startingNode || 'ObjectsFolder')),
+            relativePath: {
+              elements: targetNames.map(targetName => ({
+                referenceTypeId: resolveNodeId('HierarchicalReferences'),
+                isInverse: false,
+                includeSubtypes: true,
+                targetName: targetName
+              }))
+            }
+          });
+          indexes.push(i);
+        } catch (err) {
+          results[i] = { path: spec.path, success: false, error: err.status ? err.message : `Invalid startingNode: ${err.message}` };
+        }
+      });
+
+      for (let i = 0; i < browsePaths.length; i += TRANSLATE_BATCH_SIZE) {
+        const batch = await this.session.translateBrowsePath(browsePaths.slice(i, i + TRANSLATE_BATCH_SIZE));
+
+        batch.forEach((result, j) => {
+          const index = indexes[i + j];
+          // Targets with a remainingPathIndex matched only part of the path (the rest is on another server)
+          const targets = (result.targets || [])
+            .filter(target => target.remainingPathIndex === 0xFFFFFFFF)
+            .map(target => target.targetId.toString());
+
+          if (result.statusCode.isGood() && targets.length > 0) {
+            results[index] = {
+              path: specs[index].path,
+              success: true,
+              nodeId: targets[0],
+              expandedNodeId: toExpandedNodeId(targets[0], this.namespaceArray),
+              targets: targets
+            };
+          } else {
+            results[index] = {
+              path: specs[index].path,
+              success: false,
+              statusCode: result.statusCode.toString(),
+              error: `Path not found: ${result.statusCode.toString()}`
+            };
+          }
+        });
+      }
+
+      const failed = results.filter(r => !r.success).length;
+      logger.info(`Translate browse paths: ${results.length} path(s), ${failed} not found`);
+
+      return {
+        success: true,
+        results: results,
+        count: results.length,
+        failed: failed
+      };
+    } catch (error) {
+      logger.error('Translate browse paths error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the address space index, see AddressIndex.search() for the options
+   */
+  searchNodes(query, options = {}) {
+    if (this.index.state === 'idle') {
+      throw new Error(this.isConnected ? 'Address space index is disabled for this connection' : 'Not connected to PLC');
+    }
+
+    const startedAt = Date.now();
+    const { results, total, complete } = this.index.search(query, options);
+    logger.info(`Search "${query}" (${options.mode || 'substring'}): ${total} matches in ${Date.now() - startedAt} ms`);
+
+    return {
+      success: true,
+      results: results,
+      count: results.length,
+      total: total,
+      complete: complete,
+      index: this.index.getStatus()
+    };
+  }
+
+  /**
+   * State of the address space index
+   */
+  getIndexStatus() {
+    return {
+      success: true,
+      ...this.index.getStatus()
+    };
+  }
+
+  /**
+   * Crawl the address space again (runs in the background)
+   */
+  refreshIndex() {
+    if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
+
+    if (this.index.session !== this.session) {
+      this.index.start(this.session);
+    } else {
+      this.index.refresh();
+    }
+    return this.getIndexStatus();
+  }
+
+  /**
+   * Subscribe to variable changes
+   * monitoring: samplingInterval, queueSize, discardOldest, deadbandType, deadbandValue, trigger, timestamps
+   * tag: catalog name the node was subscribed by, reported with every change
+   */
+  async subscribe(nodeId, interval = 1000, monitoring = {}, tag = undefined) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
+      }
+
+      const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const sub = {
+        subscription: null,
+        monitoredItem: null,
+        nodeId,
+        tag,
+        interval,
+        monitoring,
+        latestValue: null
+      };
+
+      await this.startSubscription(subscriptionId, sub);
+      this.subscriptions.set(subscriptionId, sub);
+
+      return {
+        success: true,
+        subscriptionId: subscriptionId,
+        monitoring: this.describeMonitoring(sub),
+        message: 'Subscription created successfully'
+      };
+    } catch (error) {
+      logger.error('Subscribe error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the server subscription and monitored item of a subscription entry
+   * Called on subscribe and again after a reconnect, the subscriptionId stays the same
+   */
+  async startSubscription(subscriptionId, sub) {
+    // Calculate lifetime and keepalive counts based on interval
+    // lifetimeCount should be at least 3 times the maxKeepAliveCount
+    // and maxKeepAliveCount should accommodate the publishing interval
+    const maxKeepAliveCount = Math.max(10, Math.ceil(10000 / sub.interval)); // At least 10 seconds worth
+
+    // Kept across reconnects so pollers do not lose their position
+    if (!sub.changes) {
+      sub.changes = new ChangeBuffer(sub.bufferSize || CHANGE_BUFFER_SIZE);
+    }
+
+    const subscription = await this.session.createSubscription2({
+      requestedPublishingInterval: sub.interval,
+      requestedLifetimeCount: maxKeepAliveCount * 3,
+      requestedMaxKeepAliveCount: maxKeepAliveCount,
+      maxNotificationsPerPublish: sub.isEvent || sub.isGroup ? 1000 : 100,
+      publishingEnabled: sub.publishingEnabled !== false,
+      priority: 10
+    });
+
+    if (sub.isGroup) {
+      // Items that cannot be monitored any more are kept without a monitored item
+      sub.subscription = subscription;
+      await this.monitorItems(subscriptionId, sub, Array.from(sub.items.values()));
+      return;
+    }
+
+    try {
+      sub.monitoredItem = sub.isEvent
+        ? await this.monitorEvents(subscriptionId, subscription, sub)
+        : await this.monitorValue(subscriptionId, subscription, sub);
+    } catch (err) {
+      await subscription.terminate();
+      throw err;
+    }
+    sub.subscription = subscription;
+  }
+
+  /**
+   * Monitor the items of a multi-item subscription, MONITOR_BATCH_SIZE requests at a time
+   * Returns { item, error } per item
+   */
+  async monitorItems(subscriptionId, sub, items) {
+    const results = [];
+    for (let i = 0; i < items.length; i += MONITOR_BATCH_SIZE) {
+      const batch = items.slice(i, i + MONITOR_BATCH_SIZE);
+      results.push(...await Promise.all(batch.map(async (item) => {
+        try {
+          item.monitoredItem = await this.monitorValue(subscriptionId, sub.subscription, item, sub);
+          return { item, error: null };
+        } catch (err) {
+          item.monitoredItem = null;
+          logger.error(`Cannot monitor ${item.nodeId} in ${subscriptionId}: ${err.message}`);
+          return { item, error: err.message };
+        }
+      })));
+    }
+    return results;
+  }
+
+  /**
+   * Monitor the value of a node (registered nodes through their server id)
+   * item is a single-node subscription or an item of the multi-item subscription sub
+   */
+  async monitorValue(subscriptionId, subscription, item, sub = item) {
+    // Not every server accepts registered IDs in monitored items, fall back to the original nodeId
+    // Expanded node ids are resolved again for every session, their namespace index may have changed
+    const nodeIds = item.isRegistered
+      ? [this.registeredNodes.get(item.nodeId).serverNodeId, this.toServerNodeId(item.originalNodeId)]
+      : [this.toServerNodeId(item.nodeId)];
+
+    const { parameters, timestampsToReturn } = buildMonitoringParameters(item.monitoring, item.interval);
+
+    let monitoredItem;
+    for (const nodeId of nodeIds) {
+      monitoredItem = await subscription.monitor(
+        {
+          nodeId: nodeId,
+          attributeId: AttributeIds.Value
+        },
+        parameters,
+        timestampsToReturn
+      );
+      if (monitoredItem.statusCode.isGood()) {
+        break;
+      }
+    }
+
+    // The server reports unknown or inaccessible nodes (and unsupported filters) in the status code
+    if (!monitoredItem.statusCode.isGood()) {
+      throw new ApiError(400, `Cannot monitor ${item.nodeId}: ${monitoredItem.statusCode.toString()}`);
+    }
+
+    // Values actually used by the server
+    item.revised = {
+      samplingInterval: monitoredItem.result.revisedSamplingInterval,
+      queueSize: monitoredItem.result.revisedQueueSize
+    };
+
+    // Handle data changes
+    monitoredItem.on('changed', (dataValue) => {
+      // Store latest value for polling
+      item.latestValue = {
+        ...formatVariant(dataValue.value),
+        timestamp: dataValue.serverTimestamp || dataValue.sourceTimestamp || new Date().toISOString()
+      };
+
+      logger.info(`Value changed for ${item.nodeId}:`, item.latestValue.value);
+
+      // Buffer for polling and push to streaming clients (WebSocket / SSE)
+      const change = this.buildChange(subscriptionId, item.nodeId, dataValue);
+      if (item.itemId) {
+        change.itemId = item.itemId;
+      }
+      if (item.isRegistered) {
+        change.originalNodeId = item.originalNodeId;
+      }
+      if (item.tag) {
+        change.tag = item.tag;
+      }
+      this.emit('change', sub.changes.push(change));
+    });
+
+    return monitoredItem;
+  }
+
+  /**
+   * Requested monitoring options of an item with the sampling interval and queue size revised by the server
+   */
+  describeMonitoring(item) {
+    return {
+      ...item.monitoring,
+      revisedSamplingInterval: item.revised ? item.revised.samplingInterval : null,
+      revisedQueueSize: item.revised ? item.revised.queueSize : null
+    };
+  }
+
+  /**
+   * Monitor the events of a notifier and refresh the retained conditions
+   */
+  async monitorEvents(subscriptionId, subscription, sub) {
+    let monitoredItem;
+    try {
+      monitoredItem = await subscription.monitor(
+        {
+          nodeId: this.toServerNodeId(sub.nodeId),
+          attributeId: AttributeIds.EventNotifier
+        },
+        {
+          samplingInterval: 0,
+          discardOldest: false,
+          queueSize: 1000,
+          filter: sub.filter
+        },
+        TimestampsToReturn.Both
+      );
+    } catch (err) {
+      throw new ApiError(400, `Cannot monitor events of ${sub.nodeId}: ${err.message}`);
+    }
+
+    monitoredItem.on('changed', (eventFields) => {
+      const event = eventToJSON(sub.fields, eventFields);
+
+      sub.latestValue = event;
+      this.updateAlarms(subscriptionId, event);
+
+      // Buffer for polling and push to streaming clients (WebSocket / SSE)
+      this.emit('event', sub.changes.push({
+        connectionId: this.connectionId,
+        subscriptionId: subscriptionId,
+        notifierId: sub.nodeId,
+        event: event
+      }));
+    });
+
+    // Ask the server to resend the state of all retained conditions
+    try {
+      await callConditionRefresh(this.session, subscription.subscriptionId);
+    } catch (err) {
+      logger.warn(`ConditionRefresh not available on ${sub.nodeId}: ${err.message}`);
+    }
+
+    return monitoredItem;
+  }
+
+  /**
+   * Create a subscription holding many monitored items
+   * items: [{ nodeId | registeredId, monitoring }], options: publishingInterval, publishingEnabled,
+   * monitoring (defaults of the items, see subscribe()), bufferSize (changes kept for polling)
+   */
+  async createSubscription(items, options = {}) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
+      }
+
+      const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const sub = {
+        subscription: null,
+        isGroup: true,
+        interval: options.publishingInterval || 1000,
+        publishingEnabled: options.publishingEnabled !== false,
+        monitoring: options.monitoring || {},
+        bufferSize: options.bufferSize,
+        items: new Map()
+      };
+
+      await this.startSubscription(subscriptionId, sub);
+      this.subscriptions.set(subscriptionId, sub);
+
+      const added = await this.addSubscriptionItems(subscriptionId, items);
+
+      return {
+        success: true,
+        subscriptionId: subscriptionId,
+        ...this.describeSubscription(sub),
+        items: added.items,
+        message: 'Subscription created successfully'
+      };
+    } catch (error) {
+      logger.error('Create subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a multi-item subscription
+   */
+  getSubscriptionGroup(subscriptionId) {
+    const sub = this.subscriptions.get(subscriptionId);
+    if (!sub) {
+      throw new ApiError(404, `Subscription not found: ${subscriptionId}`);
+    }
+    if (!sub.isGroup) {
+      throw new ApiError(400, `Subscription ${subscriptionId} has a single node, create a multi-item subscription with POST /subscriptions`);
+    }
+    return sub;
+  }
+
+  /**
+   * Add monitored items to a multi-item subscription
+   * Item monitoring options override the given defaults, which override those of the subscription
+   * Returns the result per requested item, failed items are not added
+   */
+  async addSubscriptionItems(subscriptionId, items, monitoring = {}) {
+    if (!this.isConnected || !this.session) {
+      throw new Error('Not connected to PLC');
+    }
+
+    const sub = this.getSubscriptionGroup(subscriptionId);
+    const results = new Array(items.length);
+    const toMonitor = [];
+
+    items.forEach((spec, i) => {
+      const itemMonitoring = { ...sub.monitoring, ...monitoring, ...spec.monitoring };
+      if (spec.registeredId) {
+        const nodeInfo = this.registeredNodes.get(spec.registeredId);
+        if (!nodeInfo) {
+          results[i] = { nodeId: spec.registeredId, success: false, error: 'Registered node not found' };
+          return;
+        }
+        toMonitor.push({ index: i, item: this.newSubscriptionItem(sub, spec.registeredId, itemMonitoring, nodeInfo.originalNodeId, spec.tag) });
+      } else {
+        toMonitor.push({ index: i, item: this.newSubscriptionItem(sub, spec.nodeId, itemMonitoring, undefined, spec.tag) });
+      }
+    });
+
+    const monitored = await this.monitorItems(subscriptionId, sub, toMonitor.map(entry => entry.item));
+    monitored.forEach(({ item, error }, i) => {
+      const result = { itemId: item.itemId, nodeId: item.nodeId, success: !error };
+      if (item.isRegistered) {
+        result.originalNodeId = item.originalNodeId;
+      }
+      if (item.tag) {
+        result.tag = item.tag;
+      }
+      if (error) {
+        delete result.itemId;
+        result.error = error;
+      } else {
+        result.monitoring = this.describeMonitoring(item);
+        sub.items.set(item.itemId, item);
+      }
+      results[toMonitor[i].index] = result;
+    });
+
+    return {
+      success: true,
+      subscriptionId: subscriptionId,
+      items: results,
+      added: results.filter(result => result.success).length,
+      itemCount: sub.items.size
+    };
+  }
+
+  newSubscriptionItem(sub, nodeId, monitoring, originalNodeId, tag) {
+    return {
+      itemId: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      nodeId: nodeId,
+      originalNodeId: originalNodeId,
+      tag: tag,
+      isRegistered: originalNodeId !== undefined,
+      interval: sub.interval,
+      monitoring: monitoring,
+      monitoredItem: null,
+      latestValue: null
+    };
+  }
+
+  /**
+   * Remove monitored items from a multi-item subscription
+   */
+  async removeSubscriptionItems(subscriptionId, itemIds) {
+    const sub = this.getSubscriptionGroup(subscriptionId);
+
+    const results = [];
+    for (const itemId of itemIds) {
+      const item = sub.items.get(itemId);
+      if (!item) {
+        results.push({ itemId, success: false, error: 'Item not found' });
+        continue;
+      }
+      try {
+        // While reconnecting the server item is already gone
+        if (this.isConnected && item.monitoredItem) {
+          await item.monitoredItem.terminate();
+        }
+        sub.items.delete(itemId);
+        results.push({ itemId, nodeId: item.nodeId, success: true });
+      } catch (err) {
+        results.push({ itemId, nodeId: item.nodeId, success: false, error: err.message });
+      }
+    }
+
+    return {
+      success: true,
+      subscriptionId: subscriptionId,
+      items: results,
+      removed: results.filter(result => result.success).length,
+      itemCount: sub.items.size
+    };
+  }
+
+  /**
+   * Change the publishing interval and/or enable or disable publishing of a subscription
+   */
+  async modifySubscription(subscriptionId, options = {}) {
+    try {
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
+      }
+
+      const sub = this.subscriptions.get(subscriptionId);
+      if (!sub || !sub.subscription) {
+        throw new ApiError(404, `Subscription not found: ${subscriptionId}`);
+      }
+
+      if (options.publishingInterval !== undefined) {
+        const maxKeepAliveCount = Math.max(10, Math.ceil(10000 / options.publishingInterval));
+        await sub.subscription.modify({
+          requestedPublishingInterval: options.publishingInterval,
+          requestedLifetimeCount: maxKeepAliveCount * 3,
+          requestedMaxKeepAliveCount: maxKeepAliveCount,
+          maxNotificationsPerPublish: sub.isEvent || sub.isGroup ? 1000 : 100,
+          priority: 10
+        });
+        sub.interval = options.publishingInterval;
+      }
+
+      if (options.publishingEnabled !== undefined) {
+        const statusCode = await sub.subscription.setPublishingMode(options.publishingEnabled);
+        if (!statusCode.isGood()) {
+          throw new Error(`SetPublishingMode failed: ${statusCode.toString()}`);
+        }
+        sub.publishingEnabled = options.publishingEnabled;
+      }
+
+      if (options.bufferSize !== undefined) {
+        sub.bufferSize = options.bufferSize;
+        sub.changes.resize(options.bufferSize);
+      }
+
+      return {
+        success: true,
+        subscriptionId: subscriptionId,
+        ...this.describeSubscription(sub),
+        message: 'Subscription modified successfully'
+      };
+    } catch (error) {
+      logger.error('Modify subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publishing settings of a subscription, as revised by the server
+   */
+  describeSubscription(sub) {
+    return {
+      publishingInterval: sub.subscription ? sub.subscription.publishingInterval : sub.interval,
+      lifetimeCount: sub.subscription ? sub.subscription.lifetimeCount : null,
+      maxKeepAliveCount: sub.subscription ? sub.subscription.maxKeepAliveCount : null,
+      publishingEnabled: sub.publishingEnabled !== false,
+      bufferSize: sub.changes ? sub.changes.capacity : null
+    };
+  }
+
+  /**
+   * Buffered changes of a subscription after the sequence number `after`, oldest first
+   * Poll again with `after` set to the returned cursor; dataLost is set when changes were dropped in between
+   */
+  getSubscriptionChanges(subscriptionId, after, limit = 1000) {
+    const sub = this.subscriptions.get(subscriptionId);
+    if (!sub) {
+      throw new ApiError(404, `Subscription not found: ${subscriptionId}`);
+    }
+
+    const { changes, lost, reset, more } = sub.changes.since(after, limit);
+    return {
+      success: true,
+      subscriptionId: subscriptionId,
+      changes: changes,
+      count: changes.length,
+      cursor: changes.length > 0 ? changes[changes.length - 1].sequence : sub.changes.lastSequence,
+      firstSequence: sub.changes.firstSequence,
+      lastSequence: sub.changes.lastSequence,
+      bufferSize: sub.changes.capacity,
+      dataLost: lost > 0 || reset,
+      lostCount: reset ? null : lost,
+      more: more
+    };
+  }
+
+  /**
+   * Latest values of all items of a subscription
    */
-  async translateBrowsePath(browsePath, startingNode = 'ObjectsFolder') {
-    try {
-      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
-      
-      logger.info(`Translating browse path: ${browsePath} from ${startingNode}`);
-      
-      // Split path into segments (e.g., "DataBlocksGlobal.DB_Data" -> ["DataBlocksGlobal", "DB_Data"])
-      const pathSegments = browsePath.split('.').filter(s => s.trim());
-      
-      if (pathSegments.length === 0) {
-        throw new Error('Invalid browse path');
-      }
-
-      // Build BrowsePath request
-      const browsePathRequest = {
-        startingNode: startingNode,
-        relativePath: {
-          elements: pathSegments.map(segment => ({
-            referenceTypeId: resolveNodeId("HierarchicalReferences"),
-            isInverse: false,
-            includeSubtypes: true,
-            targetName: { namespaceIndex: 3, name: segment } // ns=3 for S7-1500 user data
-          }))
-        }
-      };
-
-      const result = await this.session.translateBrowsePath([browsePathRequest]);
-      
-      if (!result || result.length === 0) {
-        return { success: false, error: 'No results from translate' };
-      }
-
-      const firstResult = result[0];
-      logger.info(`Translate result status: ${firstResult.statusCode.toString()}`);
-      
-      if (firstResult.statusCode.isGood() && firstResult.targets && firstResult.targets.length > 0) {
-        const targetNodeId = firstResult.targets[0].targetId.toString();
-        logger.info(`Found node: ${targetNodeId}`);
-        return { 
-          success: true, 
-          nodeId: targetNodeId,
-          targets: firstResult.targets.map(t => t.targetId.toString())
-        };
-      } else {
-        return { 
-          success: false, 
-          error: `Path not found: ${firstResult.statusCode.toString()}` 
-        };
-      }
-    } catch (error) {
-      logger.error('Translate browse path error:', error);
-      throw error;
+  getSubscriptionValues(subscriptionId) {
+    const sub = this.subscriptions.get(subscriptionId);
+    if (!sub) {
+      throw new ApiError(404, `Subscription not found: ${subscriptionId}`);
     }
+
+    const items = sub.isGroup ? Array.from(sub.items.values()) : [sub];
+    return {
+      success: true,
+      subscriptionId: subscriptionId,
+      ...this.describeSubscription(sub),
+      items: items.map(item => ({
+        itemId: item.itemId,
+        nodeId: item.nodeId,
+        originalNodeId: item.originalNodeId,
+        tag: item.tag,
+        monitored: sub.isGroup ? item.monitoredItem !== null : sub.subscription !== null,
+        monitoring: this.describeMonitoring(item),
+        value: item.latestValue || null
+      })),
+      count: items.length
+    };
   }
 
   /**
-   * Search nodes by name (searches from multiple starting points and recursively)
+   * Unsubscribe from variable
    */
-  async searchNodesByName(searchTerm) {
+  async unsubscribe(subscriptionId) {
     try {
-      if (!this.isConnected || !this.session) throw new Error('Not connected to PLC');
-      
-      logger.info(`Searching for nodes matching: ${searchTerm}`);
-      const results = [];
-      const searchLower = searchTerm.toLowerCase();
-      
-      // Try common starting points
-      const startingPoints = [
-        { nodeId: 'ObjectsFolder', path: 'Objects', breadcrumb: [{ nodeId: 'ObjectsFolder', displayName: 'Objects' }] },
-        { nodeId: 'ns=3;s=DataBlocksGlobal', path: 'DataBlocksGlobal', breadcrumb: [{ nodeId: 'ObjectsFolder', displayName: 'Objects' }, { nodeId: 'ns=3;s=DataBlocksGlobal', displayName: 'DataBlocksGlobal' }] },
-      ];
-
-      // Helper function to recursively search in nodes
-      const searchInNode = async (nodeId, currentPath, currentBreadcrumb, depth = 0) => {
-        if (depth > 3) return; // Limit depth to avoid long searches
-        
-        try {
-          const browseResult = await this.browseNodes(nodeId);
-          if (!browseResult.success) return;
-          
-          for (const node of browseResult.nodes) {
-            const matchesSearch = 
-              node.displayName.toLowerCase().includes(searchLower) ||
-              node.browseName.toLowerCase().includes(searchLower);
-            
-            if (matchesSearch) {
-              // Get children of matched node
-              const children = await this.browseNodes(node.nodeId);
-              const nodeBreadcrumb = [...currentBreadcrumb, { nodeId: node.nodeId, displayName: node.displayName }];
-              
-              results.push({
-                ...node,
-                path: `${currentPath}.${node.displayName}`,
-                breadcrumb: nodeBreadcrumb,
-                children: children.success ? children.nodes : []
-              });
-            }
-            
-            // If it's an Object, search recursively inside it
-            const nodeClassStr = node.nodeClass?.toString() || '';
-            const isObject = nodeClassStr === 'Object' || nodeClassStr === '1';
-            if (isObject && depth < 2) {
-              const nodeBreadcrumb = [...currentBreadcrumb, { nodeId: node.nodeId, displayName: node.displayName }];
-              await searchInNode(node.nodeId, `${currentPath}.${node.displayName}`, nodeBreadcrumb, depth + 1);
-            }
-          }
-        } catch (err) {
-          logger.warn(`Search error in ${currentPath}:`, err.message);
-        }
-      };
+      const sub = this.subscriptions.get(subscriptionId);
+      if (!sub) {
+        throw new Error('Subscription not found');
+      }
 
-      // Try direct path translation first (e.g., "DB_Data")
-      for (const start of startingPoints) {
-        try {
-          const translateResult = await this.translateBrowsePath(searchTerm, start.nodeId);
-          if (translateResult.success) {
-            const browseResult = await this.browseNodes(translateResult.nodeId);
-            if (browseResult.success) {
-              const resultBreadcrumb = [...start.breadcrumb, { nodeId: translateResult.nodeId, displayName: searchTerm }];
-              results.push({
-                nodeId: translateResult.nodeId,
-                displayName: searchTerm,
-                browseName: searchTerm,
-                nodeClass: 'Object',
-                path: `${start.path}.${searchTerm}`,
-                breadcrumb: resultBreadcrumb,
-                children: browseResult.nodes
-              });
-            }
-          }
-        } catch (err) {
-          logger.warn(`Direct translate failed at ${start.path}:`, err.message);
-        }
+      // While reconnecting the server subscription is already gone
+      if (this.isConnected && sub.subscription) {
+        await sub.subscription.terminate();
       }
+      this.subscriptions.delete(subscriptionId);
 
-      // If no exact match, search recursively
-      if (results.length === 0) {
-        for (const start of startingPoints) {
-          await searchInNode(start.nodeId, start.path, start.breadcrumb, 0);
+      for (const [key, alarm] of this.alarms) {
+        if (alarm.subscriptionId === subscriptionId) {
+          this.alarms.delete(key);
         }
       }
 
-      // Remove duplicates based on nodeId
-      const uniqueResults = results.filter((result, index, self) =>
-        index === self.findIndex((r) => r.nodeId === result.nodeId)
-      );
-
-      logger.info(`Search completed: found ${uniqueResults.length} results`);
-      return { success: true, results: uniqueResults };
+      return {
+        success: true,
+        message: 'Unsubscribed successfully'
+      };
     } catch (error) {
-      logger.error('Search nodes error:', error);
+      logger.error('Unsubscribe error:', error);
       throw error;
     }
   }
 
   /**
-   * Subscribe to variable changes
+   * Subscribe to events of a notifier (Server object by default)
+   * options: notifierId, fields, eventTypes, minSeverity, where, interval
+   * Condition events also keep the active alarm list up to date
    */
-  async subscribe(nodeId, interval = 1000) {
+  async subscribeEvents(options = {}) {
     try {
       if (!this.isConnected || !this.session) {
         throw new Error('Not connected to PLC');
       }
 
-      // Calculate lifetime and keepalive counts based on interval
-      const publishingInterval = interval;
-      const maxKeepAliveCount = Math.max(10, Math.ceil(10000 / publishingInterval));
-      const lifetimeCount = maxKeepAliveCount * 3;
-
-      const subscription = await this.session.createSubscription2({
-        requestedPublishingInterval: publishingInterval,
-        requestedLifetimeCount: lifetimeCount,
-        requestedMaxKeepAliveCount: maxKeepAliveCount,
-        maxNotificationsPerPublish: 100,
-        publishingEnabled: true,
-        priority: 10
-      });
-
-      const monitoredItem = await subscription.monitor(
-        {
-          nodeId: nodeId,
-          attributeId: AttributeIds.Value
-        },
-        {
-          samplingInterval: interval,
-          discardOldest: true,
-          queueSize: 10
-        },
-        MonitoringMode.Reporting
-      );
+      const notifierId = options.notifierId || 'i=2253';
+      const { fields, filter } = buildEventFilter(options);
 
-      const subscriptionId = `sub_${Date.now()}`;
-      this.subscriptions.set(subscriptionId, {
-        subscription,
-        monitoredItem,
-        nodeId
-      });
+      const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const sub = {
+        subscription: null,
+        monitoredItem: null,
+        nodeId: notifierId,
+        interval: options.interval || 1000,
+        isEvent: true,
+        fields: fields,
+        filter: filter,
+        latestValue: null
+      };
 
-      // Handle data changes
-      monitoredItem.on('changed', (dataValue) => {
-        logger.info(`Value changed for ${nodeId}:`, dataValue.value.value);
-        // You can emit this via WebSocket or store for polling
-      });
+      await this.startSubscription(subscriptionId, sub);
+      this.subscriptions.set(subscriptionId, sub);
 
       return {
         success: true,
         subscriptionId: subscriptionId,
-        message: 'Subscription created successfully'
+        notifierId: notifierId,
+        fields: fields,
+        message: 'Event subscription created successfully'
       };
     } catch (error) {
-      logger.error('Subscribe error:', error);
+      logger.error('Subscribe events error:', error);
       throw error;
     }
   }
 
   /**
-   * Unsubscribe from variable
+   * Update the alarm list from a condition event
+   * Follows the ConditionRefresh protocol (OPC UA Part 9, 4.5): conditions not
+   * resent between RefreshStart and RefreshEnd are removed
    */
-  async unsubscribe(subscriptionId) {
+  updateAlarms(subscriptionId, event) {
+    const eventType = event.EventType;
+
+    if (eventType === resolveNodeId(ObjectTypeIds.RefreshStartEventType).toString()) {
+      for (const alarm of this.alarms.values()) {
+        if (alarm.subscriptionId === subscriptionId) {
+          alarm.suspect = true;
+        }
+      }
+      return;
+    }
+
+    if (eventType === resolveNodeId(ObjectTypeIds.RefreshEndEventType).toString()) {
+      for (const [key, alarm] of this.alarms) {
+        if (alarm.subscriptionId === subscriptionId && alarm.suspect) {
+          this.alarms.delete(key);
+        }
+      }
+      return;
+    }
+
+    if (!event.ConditionId) {
+      return; // Plain event, not a condition
+    }
+
+    const key = event.BranchId ? `${event.ConditionId}#${event.BranchId}` : event.ConditionId;
+    if (!event.Retain) {
+      this.alarms.delete(key);
+      return;
+    }
+
+    this.alarms.set(key, {
+      conditionId: event.ConditionId,
+      branchId: event.BranchId,
+      conditionName: event.ConditionName,
+      eventId: event.EventId,
+      eventType: eventType,
+      sourceNode: event.SourceNode,
+      sourceName: event.SourceName,
+      message: event.Message,
+      severity: event.Severity,
+      time: event.Time,
+      enabled: event['EnabledState.Id'],
+      active: event['ActiveState.Id'],
+      acknowledged: event['AckedState.Id'],
+      confirmed: event['ConfirmedState.Id'],
+      comment: event.Comment,
+      subscriptionId: subscriptionId,
+      suspect: false
+    });
+  }
+
+  /**
+   * Get the retained conditions (active or not yet acknowledged/confirmed alarms)
+   */
+  getAlarms() {
+    const alarms = Array.from(this.alarms.values())
+      .map(({ suspect, ...alarm }) => alarm)
+      .sort((a, b) => (b.severity || 0) - (a.severity || 0));
+
+    return {
+      success: true,
+      alarms: alarms,
+      count: alarms.length
+    };
+  }
+
+  /**
+   * Acknowledge, confirm or comment a condition
+   * eventId defaults to the last event received for the condition
+   */
+  async callConditionMethod(action, conditionId, eventId, comment = '') {
     try {
-      const sub = this.subscriptions.get(subscriptionId);
-      if (!sub) {
-        throw new Error('Subscription not found');
+      if (!this.isConnected || !this.session) {
+        throw new Error('Not connected to PLC');
       }
 
-      await sub.subscription.terminate();
-      this.subscriptions.delete(subscriptionId);
+      let objectId;
+      try {
+        objectId = resolveNodeId(this.toServerNodeId(conditionId));
+      } catch (err) {
+        throw err.status ? err : new ApiError(400, `Invalid conditionId: ${conditionId} (${err.message})`);
+      }
+
+      if (!eventId) {
+        const alarm = Array.from(this.alarms.values()).find(item => item.conditionId === objectId.toString() && !item.branchId);
+        if (!alarm) {
+          throw new ApiError(404, `No event known for condition ${conditionId}, eventId is required`);
+        }
+        eventId = alarm.eventId;
+      } else if (!isBase64(eventId)) {
+        throw new ApiError(400, 'eventId must be a base64 string');
+      }
+
+      const result = await this.session.call({
+        objectId: objectId,
+        methodId: resolveNodeId(CONDITION_METHODS[action]),
+        inputArguments: [
+          new Variant({ dataType: DataType.ByteString, value: Buffer.from(eventId, 'base64') }),
+          new Variant({ dataType: DataType.LocalizedText, value: coerceValue(DataType.LocalizedText, comment) })
+        ]
+      });
+
+      if (!result.statusCode.isGood()) {
+        throw new Error(`${action} failed: ${result.statusCode.toString()}`);
+      }
+
+      logger.info(`Condition ${conditionId}: ${action} done`);
 
       return {
         success: true,
-        message: 'Unsubscribed successfully'
+        conditionId: conditionId,
+        statusCode: result.statusCode.toString()
       };
     } catch (error) {
-      logger.error('Unsubscribe error:', error);
+      logger.error(`Condition ${action} error:`, error);
       throw error;
     }
   }
@@ -584,11 +2132,12 @@ class OPCUAClientManager {
       }
 
       logger.info(`Attempting to register node: ${nodeId}`);
+      const serverNodeId = this.toServerNodeId(nodeId);
 
       // First, try to read the node to verify it exists and is accessible
       try {
         const testRead = await this.session.read({
-          nodeId: nodeId,
+          nodeId: serverNodeId,
           attributeId: AttributeIds.Value
         });
 
@@ -603,17 +2152,25 @@ class OPCUAClientManager {
       }
 
       // Register node with OPC UA server
-      const registeredNodeIds = await this.session.registerNodes([nodeId]);
+      const registeredNodeIds = await this.session.registerNodes([serverNodeId]);
       
       if (!registeredNodeIds || registeredNodeIds.length === 0) {
         throw new Error('Failed to register node on server');
       }
 
       const serverRegisteredNodeId = registeredNodeIds[0].toString();
-      
-      // Store mapping: server's registered ID -> original nodeId
-      this.registeredNodes.set(serverRegisteredNodeId, {
+
+      // The server ID is the client-visible registeredId, unless a node registered
+      // before a reconnect already uses it
+      const existing = this.registeredNodes.get(serverRegisteredNodeId);
+      const registeredId = existing && existing.originalNodeId !== nodeId
+        ? `reg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+        : serverRegisteredNodeId;
+
+      // Store mapping: registeredId -> original nodeId and current server ID
+      this.registeredNodes.set(registeredId, {
         originalNodeId: nodeId,
+        serverNodeId: serverRegisteredNodeId,
         registeredAt: new Date().toISOString()
       });
 
@@ -621,7 +2178,7 @@ class OPCUAClientManager {
 
       return {
         success: true,
-        registeredId: serverRegisteredNodeId,
+        registeredId: registeredId,
         nodeId: nodeId,
         message: 'Node registered successfully'
       };
@@ -631,6 +2188,18 @@ class OPCUAClientManager {
     }
   }
 
+  /**
+   * registeredId of a registered node by its original nodeId
+   */
+  findRegisteredId(nodeId) {
+    for (const [registeredId, info] of this.registeredNodes) {
+      if (info.originalNodeId === nodeId) {
+        return registeredId;
+      }
+    }
+    throw new ApiError(404, `Node is not registered: ${nodeId}`);
+  }
+
   /**
    * Unregister a node
    */
@@ -647,9 +2216,17 @@ class OPCUAClientManager {
 
       // Find and terminate all subscriptions for this node
       const subscriptionsToDelete = [];
+      let removedItems = 0;
       for (const [subscriptionId, sub] of this.subscriptions) {
         if (sub.nodeId === registeredId) {
           subscriptionsToDelete.push(subscriptionId);
+        } else if (sub.isGroup) {
+          const itemIds = Array.from(sub.items.values())
+            .filter(item => item.isRegistered && item.nodeId === registeredId)
+            .map(item => item.itemId);
+          if (itemIds.length > 0) {
+            removedItems += (await this.removeSubscriptionItems(subscriptionId, itemIds)).removed;
+          }
         }
       }
 
@@ -668,7 +2245,7 @@ class OPCUAClientManager {
       }
 
       // Unregister from OPC UA server
-      await this.session.unregisterNodes([registeredId]);
+      await this.session.unregisterNodes([nodeInfo.serverNodeId]);
       
       // Remove from our map
       this.registeredNodes.delete(registeredId);
@@ -678,7 +2255,8 @@ class OPCUAClientManager {
       return {
         success: true,
         message: 'Node unregistered successfully',
-        terminatedSubscriptions: subscriptionsToDelete.length
+        terminatedSubscriptions: subscriptionsToDelete.length,
+        removedItems: removedItems
       };
     } catch (error) {
       logger.error('Unregister node error:', error);
@@ -689,7 +2267,7 @@ class OPCUAClientManager {
   /**
    * Read from a registered node (more efficient)
    */
-  async readRegisteredNode(registeredId) {
+  async readRegisteredNode(registeredId, options = {}) {
     try {
       if (!this.isConnected || !this.session) {
         throw new Error('Not connected to PLC');
@@ -702,15 +2280,15 @@ class OPCUAClientManager {
 
       // Use the server-registered node ID for reading
       const dataValue = await this.session.read({
-        nodeId: registeredId,
-        attributeId: AttributeIds.Value
+        nodeId: nodeInfo.serverNodeId,
+        attributeId: AttributeIds.Value,
+        indexRange: options.indexRange ? parseIndexRange(options.indexRange) : undefined
       });
 
       if (dataValue.statusCode.isGood()) {
         return {
           success: true,
-          value: dataValue.value.value,
-          dataType: DataType[dataValue.value.dataType],
+          ...formatVariant(dataValue.value),
           statusCode: dataValue.statusCode.toString(),
           timestamp: dataValue.serverTimestamp || new Date().toISOString()
         };
@@ -736,7 +2314,7 @@ class OPCUAClientManager {
   /**
    * Write to a registered node (more efficient)
    */
-  async writeRegisteredNode(registeredId, value, dataType = 'Double') {
+  async writeRegisteredNode(registeredId, value, options = {}) {
     try {
       if (!this.isConnected || !this.session) {
         throw new Error('Not connected to PLC');
@@ -747,50 +2325,16 @@ class OPCUAClientManager {
         throw new Error(`Registered node not found: ${registeredId}`);
       }
 
-      logger.info(`Writing to registered node: ${registeredId}, value: ${value}, dataType: ${dataType}`);
-
-      // Map dataType string to DataType enum (support various OPC UA type names)
-      const dataTypeLower = (dataType || 'Double').toLowerCase();
-      let mappedDataType = DataType.Double; // default
-      let parsedValue = value;
-
-      if (dataTypeLower.includes('bool')) {
-        mappedDataType = DataType.Boolean;
-        // No parsing needed, value should already be boolean
-      } else if (dataTypeLower.includes('byte') || dataTypeLower.includes('sbyte')) {
-        mappedDataType = DataType.Byte;
-        // No parsing needed, value should already be number
-      } else if (dataTypeLower.includes('int16')) {
-        mappedDataType = DataType.Int16;
-        // No parsing needed
-      } else if (dataTypeLower.includes('uint16') || dataTypeLower.includes('word')) {
-        mappedDataType = DataType.UInt16;
-        // No parsing needed
-      } else if (dataTypeLower.includes('int32') || dataTypeLower.includes('int') || dataTypeLower.includes('dint')) {
-        mappedDataType = DataType.Int32;
-        // No parsing needed
-      } else if (dataTypeLower.includes('uint32') || dataTypeLower.includes('dword')) {
-        mappedDataType = DataType.UInt32;
-        // No parsing needed
-      } else if (dataTypeLower.includes('float') || dataTypeLower.includes('real')) {
-        mappedDataType = DataType.Float;
-        // No parsing needed
-      } else if (dataTypeLower.includes('double') || dataTypeLower.includes('lreal')) {
-        mappedDataType = DataType.Double;
-        // No parsing needed
-      } else if (dataTypeLower.includes('string')) {
-        mappedDataType = DataType.String;
-        parsedValue = String(value);
-      }
+      logger.info(`Writing to registered node: ${registeredId}, value: ${value}`);
 
+      // Type is read from the original node, the write goes through the registered ID
+      const indexRange = options.indexRange ? parseIndexRange(options.indexRange) : undefined;
       const nodeToWrite = {
-        nodeId: registeredId,
+        nodeId: nodeInfo.serverNodeId,
         attributeId: AttributeIds.Value,
+        indexRange: indexRange,
         value: {
-          value: {
-            dataType: mappedDataType,
-            value: parsedValue
-          }
+          value: await this.buildVariant(nodeInfo.originalNodeId, value, indexRange)
         }
       };
 
@@ -821,6 +2365,7 @@ class OPCUAClientManager {
       nodes.push({
         registeredId: registeredId,
         nodeId: info.originalNodeId,
+        serverNodeId: info.serverNodeId,
         registeredAt: info.registeredAt
       });
     }
@@ -837,7 +2382,12 @@ class OPCUAClientManager {
         subscriptionId: subscriptionId,
         nodeId: info.nodeId,
         originalNodeId: info.originalNodeId,
+        tag: info.tag,
         isRegistered: info.isRegistered || false,
+        isEvent: info.isEvent || false,
+        isGroup: info.isGroup || false,
+        itemCount: info.isGroup ? info.items.size : 1,
+        publishingEnabled: info.publishingEnabled !== false,
         latestValue: info.latestValue || null
       });
     }
@@ -846,8 +2396,9 @@ class OPCUAClientManager {
 
   /**
    * Subscribe to a registered node (for real-time monitoring)
+   * tag: catalog name the node was subscribed by, reported with every change
    */
-  async subscribeRegisteredNode(registeredId, interval = 1000) {
+  async subscribeRegisteredNode(registeredId, interval = 1000, monitoring = {}, tag = undefined) {
     try {
       if (!this.isConnected || !this.session) {
         throw new Error('Not connected to PLC');
@@ -860,51 +2411,32 @@ class OPCUAClientManager {
 
       logger.info(`Subscribing to registered node: ${registeredId}, interval: ${interval}ms`);
 
-      // Calculate lifetime and keepalive counts based on interval
-      // lifetimeCount should be at least 3 times the maxKeepAliveCount
-      // and maxKeepAliveCount should accommodate the publishing interval
-      const publishingInterval = interval;
-      const maxKeepAliveCount = Math.max(10, Math.ceil(10000 / publishingInterval)); // At least 10 seconds worth
-      const lifetimeCount = maxKeepAliveCount * 3;
-
-      const subscription = await this.session.createSubscription2({
-        requestedPublishingInterval: publishingInterval,
-        requestedLifetimeCount: lifetimeCount,
-        requestedMaxKeepAliveCount: maxKeepAliveCount,
-        maxNotificationsPerPublish: 100,
-        publishingEnabled: true,
-        priority: 10
-      });
-
-      logger.info(`Subscription created with lifetimeCount: ${lifetimeCount}, maxKeepAliveCount: ${maxKeepAliveCount}`);
+      const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const sub = {
+        subscription: null,
+        monitoredItem: null,
+        nodeId: registeredId,
+        originalNodeId: nodeInfo.originalNodeId,
+        tag,
+        isRegistered: true,
+        interval,
+        monitoring,
+        latestValue: null
+      };
 
-      const monitoredItem = await subscription.monitor(
-        {
-          nodeId: registeredId, // Use registered node ID for better performance
-          attributeId: AttributeIds.Value
-        },
-        {
-          samplingInterval: interval,
-          discardOldest: true,
-          queueSize: 10
-        },
-        MonitoringMode.Reporting
-      );
+      // Use registered node ID for better performance
+      await this.startSubscription(subscriptionId, sub);
 
-      const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
       // Read initial value
-      let initialValue = null;
       try {
         const dataValue = await this.session.read({
-          nodeId: registeredId,
+          nodeId: nodeInfo.serverNodeId,
           attributeId: AttributeIds.Value
         });
         
-        if (dataValue.statusCode.isGood()) {
-          initialValue = {
-            value: dataValue.value.value,
-            dataType: DataType[dataValue.value.dataType],
+        if (dataValue.statusCode.isGood() && !sub.latestValue) {
+          sub.latestValue = {
+            ...formatVariant(dataValue.value),
             timestamp: dataValue.serverTimestamp || new Date().toISOString()
           };
         }
@@ -912,37 +2444,14 @@ class OPCUAClientManager {
         logger.error('Failed to read initial value:', readError);
       }
       
-      this.subscriptions.set(subscriptionId, {
-        subscription,
-        monitoredItem,
-        nodeId: registeredId,
-        originalNodeId: nodeInfo.originalNodeId,
-        isRegistered: true,
-        latestValue: initialValue
-      });
-
-      // Handle data changes
-      monitoredItem.on('changed', (dataValue) => {
-        const newValue = {
-          value: dataValue.value.value,
-          dataType: DataType[dataValue.value.dataType],
-          timestamp: dataValue.serverTimestamp || new Date().toISOString()
-        };
-        
-        logger.info(`Value changed for registered node ${registeredId}:`, newValue);
-        
-        // Store latest value for polling
-        const sub = this.subscriptions.get(subscriptionId);
-        if (sub) {
-          sub.latestValue = newValue;
-        }
-      });
+      this.subscriptions.set(subscriptionId, sub);
 
       logger.info(`Subscription created: ${subscriptionId}`);
 
       return {
         success: true,
         subscriptionId: subscriptionId,
+        monitoring: this.describeMonitoring(sub),
         message: 'Subscription created successfully'
       };
     } catch (error) {
@@ -951,6 +2460,21 @@ class OPCUAClientManager {
     }
   }
 
+  /**
+   * Build the change notification pushed to streaming clients
+   */
+  buildChange(subscriptionId, nodeId, dataValue) {
+    return {
+      connectionId: this.connectionId,
+      subscriptionId: subscriptionId,
+      nodeId: nodeId,
+      ...formatVariant(dataValue.value),
+      statusCode: dataValue.statusCode.toString(),
+      sourceTimestamp: dataValue.sourceTimestamp,
+      serverTimestamp: dataValue.serverTimestamp
+    };
+  }
+
   /**
    * Get latest value from subscription
    */
@@ -965,20 +2489,212 @@ class OPCUAClientManager {
     };
   }
 
+  /**
+   * Name (when one was given) or endpoint of the connection, stable across connectionIds
+   */
+  reference() {
+    return this.name !== this.connectionId ? this.name : this.endpoint;
+  }
+
+  /**
+   * Get a summary of this connection for listings
+   */
+  getInfo() {
+    return {
+      connectionId: this.connectionId,
+      name: this.name,
+      endpoint: this.endpoint,
+      connected: this.isConnected,
+      reconnecting: this.reconnecting,
+      createdAt: this.createdAt,
+      registeredNodes: this.registeredNodes.size,
+      subscriptions: this.subscriptions.size
+    };
+  }
+
   /**
    * Handle connection lost event
+   * With autoReconnect the session is reopened with backoff and the state restored,
+   * otherwise all resources are cleaned up and 'closed' is emitted
    */
   handleConnectionLost(reason) {
-    logger.error('Connection lost:', reason);
+    if (this.reconnecting) {
+      return;
+    }
+
+    logger.error(`Connection lost: ${reason}`);
     this.isConnected = false;
+    clearTimeout(this.restoreTimer);
+    this.restoreTimer = null;
+
+    if (this.connectionConfig && this.connectionConfig.autoReconnect !== false) {
+      this.reconnecting = true;
+      this.reconnectAttempts = 0;
+      this.closeSession().finally(() => this.scheduleReconnect());
+      return;
+    }
     
-    // Clean up resources
-    this.cleanup().catch(err => {
-      logger.error('Error during connection lost cleanup:', err);
-    });
-    
-    // You could emit an event here for real-time notification
-    // or use WebSocket to notify frontend immediately
+    // Clean up resources, then let the registry drop this connection
+    this.cleanup()
+      .catch(err => {
+        logger.error('Error during connection lost cleanup:', err);
+      })
+      .finally(() => this.emit('closed', reason));
+  }
+
+  /**
+   * Schedule the next reconnect attempt (exponential backoff)
+   */
+  scheduleReconnect() {
+    if (!this.reconnecting) {
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_INITIAL_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+    this.reconnectAttempts++;
+    logger.info(`Reconnecting ${this.connectionId} in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  /**
+   * Reopen the session with the last connection config and restore the state
+   */
+  async reconnect() {
+    this.reconnectTimer = null;
+
+    try {
+      await this.openSession(this.connectionConfig, 0);
+    } catch (error) {
+      logger.warn(`Reconnect attempt ${this.reconnectAttempts} failed: ${error.message}`);
+      await this.closeSession();
+      this.scheduleReconnect();
+      return;
+    }
+
+    // Disconnected while the attempt was running
+    if (!this.reconnecting) {
+      await this.closeSession();
+      return;
+    }
+
+    this.reconnecting = false;
+    this.isConnected = true;
+    await this.restoreState();
+
+    // The program may have changed while the connection was down
+    if (this.connectionConfig.index !== false) {
+      this.index.start(this.session);
+    }
+  }
+
+  /**
+   * Register the nodes and recreate the subscriptions of the lost session
+   * Client-visible registeredIds and subscriptionIds stay the same, only the server ids change
+   */
+  async restoreState() {
+    // The server may have been restarted with a changed program
+    this.nodeTypes.clear();
+    this.methodSignatures.clear();
+
+    if (this.registeredNodes.size > 0) {
+      const nodes = Array.from(this.registeredNodes.values());
+      try {
+        const serverNodeIds = await this.session.registerNodes(nodes.map(info => this.toServerNodeId(info.originalNodeId)));
+        nodes.forEach((info, i) => {
+          info.serverNodeId = serverNodeIds[i].toString();
+        });
+      } catch (err) {
+        // Registering is only an optimization, use the original nodeIds instead
+        logger.error('Re-registering nodes failed:', err);
+        nodes.forEach((info) => {
+          try {
+            info.serverNodeId = this.toServerNodeId(info.originalNodeId);
+          } catch (resolveError) {
+            // Namespace no longer on the server, accesses fail until it is back
+            info.serverNodeId = info.originalNodeId;
+          }
+        });
+      }
+    }
+
+    const failed = await this.restoreSubscriptions(true);
+
+    logger.info(`Connection ${this.connectionId} restored: ${this.registeredNodes.size} registered node(s), ${this.subscriptions.size - failed.subscriptions}/${this.subscriptions.size} subscription(s)${failed.items ? `, ${failed.items} item(s) not monitored` : ''}`);
+  }
+
+  /**
+   * Recreate the subscriptions on the current session: all of them after a reconnect, otherwise only
+   * those that failed before, plus the unmonitored items of multi-item subscriptions
+   * Failures are emitted as 'status' events (restoreFailed) and retried after RESTORE_RETRY_INTERVAL,
+   * later successes as restored; returns the number of failed subscriptions and items
+   */
+  async restoreSubscriptions(all) {
+    clearTimeout(this.restoreTimer);
+    this.restoreTimer = null;
+
+    const failed = { subscriptions: 0, items: 0 };
+    const notify = (status, subscriptionId, item, error) => {
+      this.emit('status', {
+        connectionId: this.connectionId,
+        subscriptionId: subscriptionId,
+        status: status,
+        ...(item ? { itemId: item.itemId, nodeId: item.nodeId } : {}),
+        ...(error ? { error: error } : {})
+      });
+    };
+
+    for (const [subscriptionId, sub] of this.subscriptions) {
+      if (all || !sub.subscription) {
+        try {
+          await this.startSubscription(subscriptionId, sub);
+        } catch (err) {
+          sub.subscription = null;
+          sub.monitoredItem = null;
+          failed.subscriptions++;
+          logger.error(`Restoring subscription ${subscriptionId} failed:`, err);
+          notify('restoreFailed', subscriptionId, null, err.message);
+          continue;
+        }
+        if (!all) {
+          notify('restored', subscriptionId);
+        }
+      } else if (sub.isGroup) {
+        const retried = Array.from(sub.items.values()).filter(item => !item.monitoredItem);
+        await this.monitorItems(subscriptionId, sub, retried);
+        retried.filter(item => item.monitoredItem).forEach(item => notify('restored', subscriptionId, item));
+      }
+
+      if (sub.isGroup) {
+        for (const item of sub.items.values()) {
+          if (!item.monitoredItem) {
+            failed.items++;
+            notify('restoreFailed', subscriptionId, item, `Cannot monitor ${item.nodeId}`);
+          }
+        }
+      }
+    }
+
+    if (failed.subscriptions + failed.items > 0) {
+      this.restoreTimer = setTimeout(() => this.retryRestore(), RESTORE_RETRY_INTERVAL);
+    }
+    return failed;
+  }
+
+  /**
+   * Retry the failed restores while connected (a reconnect restores everything anyway)
+   */
+  async retryRestore() {
+    this.restoreTimer = null;
+    if (!this.isConnected || this.reconnecting || !this.session) {
+      return;
+    }
+
+    try {
+      const failed = await this.restoreSubscriptions(false);
+      logger.info(`Restore retry on ${this.connectionId}: ${failed.subscriptions} subscription(s) and ${failed.items} item(s) still failing`);
+    } catch (err) {
+      logger.error(`Restore retry on ${this.connectionId} failed:`, err);
+    }
   }
 
   /**
@@ -989,8 +2705,11 @@ class OPCUAClientManager {
     if (!this.isConnected || !this.session) {
       return {
         connected: false,
-        endpoint: this.connectionConfig?.endpoint || null,
-        sessionActive: false
+        connectionId: this.connectionId,
+        endpoint: this.endpoint,
+        sessionActive: false,
+        reconnecting: this.reconnecting,
+        reconnectAttempts: this.reconnectAttempts
       };
     }
 
@@ -1004,7 +2723,8 @@ class OPCUAClientManager {
       if (testRead.statusCode.isGood()) {
         return {
           connected: true,
-          endpoint: this.connectionConfig?.endpoint || null,
+          connectionId: this.connectionId,
+          endpoint: this.endpoint,
           sessionActive: true
         };
       } else {
@@ -1014,7 +2734,8 @@ class OPCUAClientManager {
         this.handleConnectionLost('Connection test failed');
         return {
           connected: false,
-          endpoint: this.connectionConfig?.endpoint || null,
+          connectionId: this.connectionId,
+          endpoint: this.endpoint,
           sessionActive: false
         };
       }
@@ -1025,7 +2746,8 @@ class OPCUAClientManager {
       this.handleConnectionLost('Connection test error');
       return {
         connected: false,
-        endpoint: this.connectionConfig?.endpoint || null,
+        connectionId: this.connectionId,
+        endpoint: this.endpoint,
         sessionActive: false
       };
     }
@@ -1035,11 +2757,18 @@ class OPCUAClientManager {
    * Cleanup resources
    */
   async cleanup() {
+    // Stop reconnecting
+    this.reconnecting = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    clearTimeout(this.restoreTimer);
+    this.restoreTimer = null;
+
     try {
       // Unregister all nodes
       if (this.session && this.registeredNodes.size > 0) {
         try {
-          const nodeIds = Array.from(this.registeredNodes.keys());
+          const nodeIds = Array.from(this.registeredNodes.values()).map(info => info.serverNodeId);
           await this.session.unregisterNodes(nodeIds);
           logger.info('All registered nodes unregistered');
         } catch (err) {
@@ -1050,6 +2779,9 @@ class OPCUAClientManager {
 
       // Terminate all subscriptions
       for (const [id, sub] of this.subscriptions) {
+        if (!this.session || !sub.subscription) {
+          continue;
+        }
         try {
           await sub.subscription.terminate();
         } catch (err) {
@@ -1057,21 +2789,16 @@ class OPCUAClientManager {
         }
       }
       this.subscriptions.clear();
+      this.alarms.clear();
+      this.index.stop();
 
-      // Close session
-      if (this.session) {
-        await this.session.close();
-        this.session = null;
-      }
-
-      // Disconnect client
-      if (this.client) {
-        await this.client.disconnect();
-        this.client = null;
-      }
+      // Close session and disconnect client
+      await this.closeSession();
 
       this.isConnected = false;
       this.connectionConfig = null;
+      this.nodeTypes.clear();
+      this.methodSignatures.clear();
     } catch (error) {
       logger.error('Cleanup error:', error);
       // Force reset even if cleanup fails
@@ -1080,11 +2807,11 @@ class OPCUAClientManager {
       this.isConnected = false;
       this.connectionConfig = null;
       this.registeredNodes.clear();
+      this.nodeTypes.clear();
+      this.methodSignatures.clear();
+      this.alarms.clear();
     }
   }
 }
 
-// Singleton instance
-const opcuaClient = new OPCUAClientManager();
-
-module.exports = opcuaClient;
\ No newline at end of file
+module.exports = OPCUAClientManager;
@@ -0,0 +1,137 @@
+const EventEmitter = require('events');
+const OPCUAClientManager = require('./client');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Registry of OPC UA connections
+ * Each connection owns its own client, session, subscriptions and registered nodes
+ * Re-emits 'change', 'event' and 'status' events of all connections for streaming
+ */
+class ConnectionRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per streaming client
+    this.connections = new Map(); // Map<connectionId, OPCUAClientManager>
+  }
+
+  /**
+   * Open a new connection and add it to the registry
+   */
+  async connect(config) {
+    const connectionId = `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const manager = new OPCUAClientManager(connectionId, { name: config.name });
+
+    const result = await manager.connect(config);
+    this.connections.set(connectionId, manager);
+    manager.on('change', (change) => this.emit('change', change));
+    manager.on('event', (event) => this.emit('event', event));
+    manager.on('status', (status) => this.emit('status', status));
+    manager.once('closed', (reason) => {
+      this.remove(manager);
+      logger.warn(`Connection ${connectionId} closed without reconnect: ${reason}`);
+    });
+
+    logger.info(`Connection registered: ${connectionId} (${config.endpoint}), total: ${this.connections.size}`);
+
+    return {
+      ...result,
+      connectionId: connectionId
+    };
+  }
+
+  /**
+   * Get a connection by id
+   * When no id is given and exactly one connection is open, that connection is used
+   */
+  get(connectionId) {
+    if (!connectionId) {
+      if (this.connections.size === 1) {
+        return this.connections.values().next().value;
+      }
+      if (this.connections.size === 0) {
+        throw new ApiError(409, 'Not connected to PLC');
+      }
+      throw new ApiError(400, 'connectionId is required when multiple connections are open');
+    }
+
+    const manager = this.connections.get(connectionId);
+    if (!manager) {
+      throw new ApiError(404, `Connection not found: ${connectionId}`);
+    }
+    return manager;
+  }
+
+  /**
+   * Get an open connection by connectionId, name or endpoint (used by tags, whose connection outlives connectionIds)
+   */
+  find(reference) {
+    for (const manager of this.connections.values()) {
+      if (manager.connectionId === reference || manager.name === reference || manager.endpoint === reference) {
+        return manager;
+      }
+    }
+    throw new ApiError(409, `Connection not open: ${reference}`);
+  }
+
+  /**
+   * Disconnect a connection and remove it from the registry
+   */
+  async disconnect(connectionId) {
+    const manager = this.get(connectionId);
+    const result = await manager.disconnect();
+    this.remove(manager);
+
+    return {
+      ...result,
+      connectionId: manager.connectionId
+    };
+  }
+
+  /**
+   * Remove a finished connection from the registry and stop re-emitting its events
+   */
+  remove(manager) {
+    this.connections.delete(manager.connectionId);
+    manager.removeAllListeners();
+    logger.info(`Connection removed: ${manager.connectionId}, total: ${this.connections.size}`);
+  }
+
+  /**
+   * Disconnect every connection (used on shutdown)
+   */
+  async disconnectAll() {
+    for (const [connectionId, manager] of this.connections) {
+      try {
+        await manager.disconnect();
+      } catch (err) {
+        logger.error(`Error disconnecting ${connectionId}:`, err);
+      }
+    }
+    this.connections.clear();
+  }
+
+  /**
+   * Check whether any connection owns the given subscription
+   */
+  hasSubscription(subscriptionId) {
+    for (const manager of this.connections.values()) {
+      if (manager.subscriptions.has(subscriptionId)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * List all connections
+   */
+  list() {
+    return Array.from(this.connections.values()).map(manager => manager.getInfo());
+  }
+}
+
+// Singleton instance
+const connections = new ConnectionRegistry();
+
+module.exports = connections;
@@ -0,0 +1,367 @@
+const {
+  DataType,
+  VariantArrayType,
+  NumericRange,
+  findBasicDataType,
+  resolveNodeId,
+  coerceLocalizedText,
+  coerceQualifiedName
+} = require('node-opcua');
+const { ApiError } = require('../utils/errors');
+
+// Value ranges of the integer built-in types
+const INTEGER_RANGES = {
+  [DataType.SByte]: [-128, 127],
+  [DataType.Byte]: [0, 255],
+  [DataType.Int16]: [-32768, 32767],
+  [DataType.UInt16]: [0, 65535],
+  [DataType.Int32]: [-2147483648, 2147483647],
+  [DataType.UInt32]: [0, 4294967295]
+};
+
+const INT64_RANGES = {
+  [DataType.Int64]: [-(2n ** 63n), 2n ** 63n - 1n],
+  [DataType.UInt64]: [0n, 2n ** 64n - 1n]
+};
+
+const FLOAT_MAX = 3.4028234663852886e38;
+
+// Standard base64 with padding (ByteStrings are exchanged as base64 in JSON)
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+function isBase64(value) {
+  return typeof value === 'string' && BASE64.test(value);
+}
+
+/**
+ * Resolve a DataType attribute (NodeId) to its OPC UA built-in type
+ * Vendor types (e.g. Siemens ns=3 subtypes) are resolved through their supertypes
+ */
+async function resolveBuiltInType(session, dataTypeNodeId) {
+  const nodeId = resolveNodeId(dataTypeNodeId);
+  if (nodeId.namespace === 0 && typeof nodeId.value === 'number' && DataType[nodeId.value]) {
+    return nodeId.value;
+  }
+  return findBasicDataType(session, nodeId);
+}
+
+const invalid = (typeName, value, expected) =>
+  new ApiError(400, `Cannot convert ${JSON.stringify(value)} to ${typeName}: ${expected}`);
+
+/**
+ * Parse a JSON number or numeric string to a JS number
+ */
+function toNumber(value, typeName) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  throw invalid(typeName, value, 'expected a number');
+}
+
+/**
+ * Encode a 64-bit integer as node-opcua's [high, low] pair
+ */
+function toInt64Pair(dataType, value) {
+  const typeName = DataType[dataType];
+  let big;
+  try {
+    // BigInt() also takes booleans and '' (0n), only numbers and integer strings are values
+    if (typeof value === 'number' ? !Number.isSafeInteger(value) : typeof value !== 'string' || value.trim() === '') {
+      throw new Error();
+    }
+    big = BigInt(typeof value === 'string' ? value.trim() : value);
+  } catch (err) {
+    throw invalid(typeName, value, 'expected an integer (use a string for values beyond 2^53)');
+  }
+
+  const [min, max] = INT64_RANGES[dataType];
+  if (big < min || big > max) {
+    throw new ApiError(400, `${value} is out of range for ${typeName} (${min}..${max})`);
+  }
+
+  const unsigned = big < 0n ? big + 2n ** 64n : big;
+  return [Number(unsigned >> 32n), Number(unsigned & 0xffffffffn)];
+}
+
+/**
+ * Coerce a JSON value to the JS representation node-opcua expects for a built-in type
+ * Throws ApiError(400) when the value cannot be converted
+ */
+function coerceValue(dataType, value) {
+  const typeName = DataType[dataType] || `DataType ${dataType}`;
+
+  if (INTEGER_RANGES[dataType]) {
+    const number = toNumber(value, typeName);
+    if (!Number.isInteger(number)) {
+      throw invalid(typeName, value, 'expected an integer');
+    }
+    const [min, max] = INTEGER_RANGES[dataType];
+    if (number < min || number > max) {
+      throw new ApiError(400, `${number} is out of range for ${typeName} (${min}..${max})`);
+    }
+    return number;
+  }
+
+  if (INT64_RANGES[dataType]) {
+    return toInt64Pair(dataType, value);
+  }
+
+  switch (dataType) {
+    case DataType.Boolean:
+      if (typeof value === 'boolean') return value;
+      if (value === 0 || value === 1) return value === 1;
+      if (value === 'true' || value === 'false') return value === 'true';
+      throw invalid(typeName, value, 'expected true or false');
+
+    case DataType.Float: {
+      const number = toNumber(value, typeName);
+      if (!Number.isFinite(number) || Math.abs(number) > FLOAT_MAX) {
+        throw new ApiError(400, `${value} is out of range for Float`);
+      }
+      return number;
+    }
+
+    case DataType.Double: {
+      const number = toNumber(value, typeName);
+      if (!Number.isFinite(number)) {
+        throw invalid(typeName, value, 'expected a finite number');
+      }
+      return number;
+    }
+
+    case DataType.String:
+    case DataType.XmlElement:
+      if (typeof value === 'object') {
+        throw invalid(typeName, value, 'expected a string');
+      }
+      return String(value);
+
+    case DataType.DateTime: {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || isNaN(date.getTime())) {
+        throw invalid(typeName, value, 'expected an ISO 8601 string or epoch milliseconds');
+      }
+      return date;
+    }
+
+    case DataType.LocalizedText:
+      if (typeof value === 'string' || (value && typeof value === 'object' && typeof value.text === 'string')) {
+        return coerceLocalizedText(value);
+      }
+      throw invalid(typeName, value, 'expected a string or { text, locale }');
+
+    case DataType.QualifiedName:
+      if (typeof value === 'string' || (value && typeof value === 'object' && typeof value.name === 'string')) {
+        return coerceQualifiedName(value);
+      }
+      throw invalid(typeName, value, 'expected a string or { namespaceIndex, name }');
+
+    case DataType.ByteString:
+      // Buffer.from() silently skips characters that are not base64
+      if (isBase64(value)) {
+        return Buffer.from(value, 'base64');
+      }
+      if (Array.isArray(value) && value.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+        return Buffer.from(value);
+      }
+      throw invalid(typeName, value, 'expected a base64 string or an array of bytes');
+
+    case DataType.Guid:
+      if (typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+        return value;
+      }
+      throw invalid(typeName, value, 'expected a GUID string');
+
+    case DataType.NodeId:
+    case DataType.ExpandedNodeId:
+      try {
+        return resolveNodeId(value);
+      } catch (err) {
+        throw invalid(typeName, value, 'expected a NodeId string');
+      }
+
+    default:
+      throw new ApiError(400, `Writing values of type ${typeName} is not supported`);
+  }
+}
+
+/**
+ * Flatten a (nested) JSON array into its elements and dimensions
+ * [[1, 2, 3], [4, 5, 6]] -> { elements: [1, 2, 3, 4, 5, 6], dimensions: [2, 3] }
+ */
+function flattenArray(value) {
+  const dimensions = [];
+  for (let level = value; Array.isArray(level); level = level[0]) {
+    dimensions.push(level.length);
+  }
+
+  const elements = [];
+  const walk = (level, depth) => {
+    if (depth === dimensions.length) {
+      elements.push(level);
+      return;
+    }
+    if (!Array.isArray(level) || level.length !== dimensions[depth]) {
+      throw new ApiError(400, `Array is not rectangular: expected dimensions [${dimensions.join(', ')}]`);
+    }
+    level.forEach(item => walk(item, depth + 1));
+  };
+  walk(value, 0);
+
+  return { elements, dimensions };
+}
+
+/**
+ * Convert one decoded element to a JSON friendly value
+ * 64-bit integers become numbers (or strings beyond 2^53), ByteStrings base64
+ */
+function toJSONElement(dataType, value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (INT64_RANGES[dataType] && Array.isArray(value)) {
+    let big = (BigInt(value[0]) << 32n) | BigInt(value[1]);
+    if (dataType === DataType.Int64 && big >= 2n ** 63n) {
+      big -= 2n ** 64n;
+    }
+    return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(big)
+      : big.toString();
+  }
+
+  if (dataType === DataType.ByteString && Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+
+  if (dataType === DataType.ExtensionObject && value.schema) {
+    return structureToJSON(value);
+  }
+
+  return value;
+}
+
+/**
+ * Convert a decoded structure (ExtensionObject) to plain JSON
+ * Keys are the field names of the server's DataTypeDefinition (e.g. "Speed", not "speed")
+ */
+function structureToJSON(structure) {
+  const result = {};
+  for (const field of structure.schema.fields) {
+    const convert = (item) => {
+      if (item && item.schema) {
+        return structureToJSON(item);
+      }
+      return field.category === 'basic' ? toJSONElement(field.basicDataType, item) : item;
+    };
+    const value = structure[field.name];
+    result[field.originalName || field.name] = field.isArray && value ? Array.from(value, convert) : convert(value);
+  }
+  return result;
+}
+
+/**
+ * Convert plain JSON to the constructor options of a structure
+ * Accepts DataTypeDefinition field names ("Speed") and node-opcua names ("speed");
+ * basic fields are coerced like scalar writes, nested structures recursively
+ */
+function structureFromJSON(schema, json, path = schema.name) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new ApiError(400, `${path}: expected a JSON object for structure ${schema.name}`);
+  }
+
+  const known = new Set(schema.fields.flatMap(field => [field.name, field.originalName]));
+  const unknown = Object.keys(json).filter(key => !known.has(key));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `${path}: unknown field(s) ${unknown.join(', ')} for structure ${schema.name}`);
+  }
+
+  const options = {};
+  for (const field of schema.fields) {
+    const key = field.originalName in json ? field.originalName : field.name;
+    if (!(key in json)) {
+      continue; // Missing fields keep their default value
+    }
+
+    const fieldPath = `${path}.${field.originalName || field.name}`;
+    const convert = (item) => {
+      if (field.category === 'complex') {
+        return structureFromJSON(field.schema, item, fieldPath);
+      }
+      try {
+        return coerceValue(field.category === 'enumeration' ? DataType.Int32 : field.basicDataType, item);
+      } catch (err) {
+        throw new ApiError(400, `${fieldPath}: ${err.message}`);
+      }
+    };
+
+    if (field.isArray) {
+      if (!Array.isArray(json[key])) {
+        throw new ApiError(400, `${fieldPath}: expected a JSON array`);
+      }
+      options[field.name] = json[key].map(convert);
+    } else {
+      options[field.name] = convert(json[key]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Convert a Variant to a JSON friendly result
+ * Returns { value, dataType } plus arrayType and dimensions for arrays;
+ * matrices are returned as nested arrays
+ */
+function formatVariant(variant) {
+  const result = {
+    value: null,
+    dataType: DataType[variant.dataType]
+  };
+
+  if (variant.arrayType !== VariantArrayType.Array && variant.arrayType !== VariantArrayType.Matrix) {
+    result.value = toJSONElement(variant.dataType, variant.value);
+  } else {
+    // Typed arrays (Float32Array, ...) become plain arrays
+    const elements = Array.from(variant.value || [], item => toJSONElement(variant.dataType, item));
+    const dimensions = variant.arrayType === VariantArrayType.Matrix ? variant.dimensions : [elements.length];
+
+    const nest = (offset, depth) => {
+      if (depth === dimensions.length - 1) {
+        return elements.slice(offset, offset + dimensions[depth]);
+      }
+      const size = dimensions.slice(depth + 1).reduce((a, b) => a * b, 1);
+      return Array.from({ length: dimensions[depth] }, (_, i) => nest(offset + i * size, depth + 1));
+    };
+
+    result.value = dimensions.length > 1 ? nest(0, 0) : elements;
+    result.arrayType = VariantArrayType[variant.arrayType];
+    result.dimensions = dimensions;
+  }
+
+  return result;
+}
+
+/**
+ * Parse an IndexRange such as "10:19", "[10:19]", "5" or "1:2,0:3"
+ */
+function parseIndexRange(indexRange) {
+  const text = String(indexRange).trim().replace(/^\[(.*)\]$/, '$1');
+  const range = new NumericRange(text);
+  if (!text || !range.isValid()) {
+    throw new ApiError(400, `Invalid indexRange: ${indexRange}`);
+  }
+  return text;
+}
+
+module.exports = {
+  resolveBuiltInType,
+  coerceValue,
+  isBase64,
+  flattenArray,
+  formatVariant,
+  parseIndexRange,
+  structureFromJSON
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataType, Variant, VariantArrayType } = require('node-opcua');
+const { coerceValue, isBase64, flattenArray, formatVariant, parseIndexRange } = require('./datatypes');
+
+const rejects = (fn) => assert.throws(fn, error => error.status === 400);
+
+test('coerceValue checks integer ranges', () => {
+  assert.strictEqual(coerceValue(DataType.Int16, '-32768'), -32768);
+  assert.strictEqual(coerceValue(DataType.Byte, 255), 255);
+  rejects(() => coerceValue(DataType.Byte, 256));
+  rejects(() => coerceValue(DataType.UInt16, -1));
+  rejects(() => coerceValue(DataType.Int32, 1.5));
+  rejects(() => coerceValue(DataType.Int32, ''));
+});
+
+test('coerceValue encodes 64-bit integers as [high, low] from numbers and strings only', () => {
+  assert.deepStrictEqual(coerceValue(DataType.Int64, 5), [0, 5]);
+  assert.deepStrictEqual(coerceValue(DataType.Int64, '-1'), [0xffffffff, 0xffffffff]);
+  assert.deepStrictEqual(coerceValue(DataType.UInt64, '18446744073709551615'), [0xffffffff, 0xffffffff]);
+  rejects(() => coerceValue(DataType.UInt64, '18446744073709551616'));
+  rejects(() => coerceValue(DataType.Int64, 2 ** 53));
+  rejects(() => coerceValue(DataType.Int64, true));
+  rejects(() => coerceValue(DataType.Int64, ''));
+  rejects(() => coerceValue(DataType.Int64, null));
+  rejects(() => coerceValue(DataType.Int64, '1.5'));
+});
+
+test('coerceValue accepts only valid base64 or byte arrays as ByteString', () => {
+  assert.deepStrictEqual(coerceValue(DataType.ByteString, 'YWI='), Buffer.from('ab'));
+  assert.deepStrictEqual(coerceValue(DataType.ByteString, [1, 2]), Buffer.from([1, 2]));
+  rejects(() => coerceValue(DataType.ByteString, 'not base64!'));
+  rejects(() => coerceValue(DataType.ByteString, [256]));
+  rejects(() => coerceValue(DataType.ByteString, 5));
+});
+
+test('coerceValue converts booleans, floats and dates', () => {
+  assert.strictEqual(coerceValue(DataType.Boolean, 'true'), true);
+  assert.strictEqual(coerceValue(DataType.Boolean, 0), false);
+  rejects(() => coerceValue(DataType.Boolean, 'yes'));
+  rejects(() => coerceValue(DataType.Float, 1e39));
+  rejects(() => coerceValue(DataType.Double, 'NaN'));
+  assert.strictEqual(coerceValue(DataType.DateTime, 0).getTime(), 0);
+  rejects(() => coerceValue(DataType.DateTime, true));
+});
+
+test('isBase64 requires padded standard base64', () => {
+  assert.ok(isBase64(''));
+  assert.ok(isBase64('YWJj'));
+  assert.ok(isBase64('YQ=='));
+  assert.ok(!isBase64('YQ'));
+  assert.ok(!isBase64('YW-j'));
+  assert.ok(!isBase64(null));
+});
+
+test('flattenArray returns elements and dimensions of rectangular arrays', () => {
+  assert.deepStrictEqual(flattenArray([[1, 2, 3], [4, 5, 6]]), { elements: [1, 2, 3, 4, 5, 6], dimensions: [2, 3] });
+  rejects(() => flattenArray([[1, 2], [3]]));
+});
+
+test('formatVariant nests matrices', () => {
+  const variant = new Variant({ dataType: DataType.Int32, arrayType: VariantArrayType.Matrix, value: [1, 2, 3, 4, 5, 6], dimensions: [2, 3] });
+  const result = formatVariant(variant);
+  assert.deepStrictEqual(result.value, [[1, 2, 3], [4, 5, 6]]);
+  assert.deepStrictEqual(result.dimensions, [2, 3]);
+});
+
+test('parseIndexRange accepts ranges with or without brackets', () => {
+  assert.strictEqual(parseIndexRange('[10:19]'), '10:19');
+  assert.strictEqual(parseIndexRange('1:2,0:3'), '1:2,0:3');
+  rejects(() => parseIndexRange('5:2'));
+  rejects(() => parseIndexRange(''));
+});
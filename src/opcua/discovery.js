@@ -0,0 +1,122 @@
+const {
+  OPCUAClient,
+  MessageSecurityMode,
+  UserTokenType,
+  ApplicationType
+} = require('node-opcua');
+const { makeSHA1Thumbprint, split_der } = require('node-opcua-crypto');
+const pki = require('./pki');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// User token types as authType values of POST /connect (IssuedToken is not supported)
+const AUTH_TYPES = {
+  [UserTokenType.Anonymous]: 'Anonymous',
+  [UserTokenType.UserName]: 'UserPassword',
+  [UserTokenType.Certificate]: 'Certificate'
+};
+
+/**
+ * Short security policy name from its URI ("...SecurityPolicy#Basic256Sha256" → "Basic256Sha256")
+ */
+function policyName(uri) {
+  return uri ? uri.split('#').pop() : null;
+}
+
+/**
+ * Thumbprint of the server certificate (first certificate of the chain) and its trust status in the PKI
+ */
+function describeServerCertificate(certificate, trustLists) {
+  if (!certificate || certificate.length === 0) {
+    return { thumbprint: null, status: null };
+  }
+
+  const thumbprint = makeSHA1Thumbprint(split_der(certificate)[0]).toString('hex');
+  let status = 'unknown';
+  if (trustLists.trusted.some(c => c.thumbprint === thumbprint)) {
+    status = 'trusted';
+  } else if (trustLists.rejected.some(c => c.thumbprint === thumbprint)) {
+    status = 'rejected';
+  }
+  return { thumbprint, status };
+}
+
+function endpointToJSON(endpoint, trustLists) {
+  const serverCertificate = describeServerCertificate(endpoint.serverCertificate, trustLists);
+
+  return {
+    endpointUrl: endpoint.endpointUrl,
+    securityPolicy: policyName(endpoint.securityPolicyUri),
+    securityPolicyUri: endpoint.securityPolicyUri,
+    securityMode: MessageSecurityMode[endpoint.securityMode],
+    securityLevel: endpoint.securityLevel,
+    userTokenTypes: (endpoint.userIdentityTokens || []).map(token => ({
+      policyId: token.policyId,
+      tokenType: UserTokenType[token.tokenType],
+      authType: AUTH_TYPES[token.tokenType] || null,
+      securityPolicy: policyName(token.securityPolicyUri) || null
+    })),
+    server: {
+      applicationUri: endpoint.server.applicationUri,
+      applicationName: endpoint.server.applicationName.text
+    },
+    serverCertificateThumbprint: serverCertificate.thumbprint,
+    serverCertificateStatus: serverCertificate.status
+  };
+}
+
+function serverToJSON(server) {
+  return {
+    applicationUri: server.applicationUri,
+    productUri: server.productUri,
+    applicationName: server.applicationName.text,
+    applicationType: ApplicationType[server.applicationType],
+    discoveryUrls: server.discoveryUrls || []
+  };
+}
+
+/**
+ * FindServers and GetEndpoints on a discovery URL (no session, unsecured channel)
+ * Endpoints are sorted by security level, most secure first
+ */
+async function discover(url) {
+  // Same certificate manager and application certificate as the connections (PKI_DIR)
+  const client = OPCUAClient.create({
+    ...pki.getClientOptions(),
+    connectionStrategy: {
+      initialDelay: 1000,
+      maxRetry: 1
+    },
+    endpointMustExist: false
+  });
+
+  // Disconnect also after a failed connect, it disposes the certificate manager
+  try {
+    try {
+      await client.connect(url);
+    } catch (error) {
+      throw new ApiError(502, `Cannot reach ${url}: ${error.message}`);
+    }
+
+    const servers = await client.findServers();
+    const endpoints = await client.getEndpoints();
+    const trustLists = await pki.listCertificates();
+
+    logger.info(`Discovered ${servers.length} server(s) and ${endpoints.length} endpoint(s) at ${url}`);
+
+    return {
+      success: true,
+      url: url,
+      servers: servers.map(serverToJSON),
+      endpoints: endpoints
+        .map(endpoint => endpointToJSON(endpoint, trustLists))
+        .sort((a, b) => b.securityLevel - a.securityLevel)
+    };
+  } finally {
+    await client.disconnect();
+  }
+}
+
+module.exports = {
+  discover
+};
@@ -0,0 +1,176 @@
+const {
+  AttributeIds,
+  DataType,
+  ObjectTypeIds,
+  SimpleAttributeOperand,
+  LiteralOperand,
+  ContentFilterElement,
+  FilterOperator,
+  Variant,
+  constructEventFilter,
+  makeContentFilter,
+  coerceQualifiedName,
+  ofType,
+  or,
+  and,
+  resolveNodeId
+} = require('node-opcua');
+const { ApiError } = require('../utils/errors');
+
+// Fields returned for every event
+const DEFAULT_EVENT_FIELDS = [
+  'EventId',
+  'EventType',
+  'SourceNode',
+  'SourceName',
+  'Time',
+  'ReceiveTime',
+  'Message',
+  'Severity'
+];
+
+// Fields needed to track the state of Alarms & Conditions (null for plain events)
+const CONDITION_FIELDS = [
+  'ConditionId',
+  'ConditionName',
+  'BranchId',
+  'Retain',
+  'EnabledState.Id',
+  'ActiveState.Id',
+  'AckedState.Id',
+  'ConfirmedState.Id',
+  'Comment'
+];
+
+// Operators accepted in where clauses: { field, operator, value }
+const WHERE_OPERATORS = {
+  Equals: FilterOperator.Equals,
+  GreaterThan: FilterOperator.GreaterThan,
+  GreaterThanOrEqual: FilterOperator.GreaterThanOrEqual,
+  LessThan: FilterOperator.LessThan,
+  LessThanOrEqual: FilterOperator.LessThanOrEqual,
+  Like: FilterOperator.Like
+};
+
+/**
+ * Operand selecting an event field by browse path ("Severity", "ActiveState.Id", "2:MyField")
+ */
+function fieldOperand(field) {
+  return new SimpleAttributeOperand({
+    typeDefinitionId: resolveNodeId(ObjectTypeIds.BaseEventType),
+    browsePath: field.split('.').map(name => coerceQualifiedName(name)),
+    attributeId: AttributeIds.Value
+  });
+}
+
+/**
+ * Literal operand of a JSON value
+ */
+function literalOperand(value) {
+  let dataType;
+  if (typeof value === 'boolean') {
+    dataType = DataType.Boolean;
+  } else if (typeof value === 'number') {
+    dataType = Number.isInteger(value) ? DataType.Int32 : DataType.Double;
+  } else if (typeof value === 'string') {
+    dataType = DataType.String;
+  } else {
+    throw new ApiError(400, `Unsupported where value: ${JSON.stringify(value)}`);
+  }
+  return new LiteralOperand({ value: new Variant({ dataType, value }) });
+}
+
+/**
+ * Build the EventFilter of an event monitored item
+ * fields: extra field names, eventTypes: OfType filter (any of), minSeverity,
+ * where: [{ field, operator, value }] combined with AND
+ */
+function buildEventFilter(options = {}) {
+  const extraFields = options.fields || [];
+  const fields = Array.from(new Set([...DEFAULT_EVENT_FIELDS, ...CONDITION_FIELDS, ...extraFields]));
+
+  const clauses = [];
+
+  if (options.eventTypes && options.eventTypes.length > 0) {
+    clauses.push(options.eventTypes
+      .map(eventType => {
+        try {
+          return ofType(resolveNodeId(eventType));
+        } catch (err) {
+          throw new ApiError(400, `Invalid eventType: ${eventType} (${err.message})`);
+        }
+      })
+      .reduce((a, b) => or(a, b)));
+  }
+
+  if (options.minSeverity !== undefined) {
+    if (!Number.isInteger(options.minSeverity) || options.minSeverity < 1 || options.minSeverity > 1000) {
+      throw new ApiError(400, 'minSeverity must be an integer between 1 and 1000');
+    }
+    clauses.push(new ContentFilterElement({
+      filterOperator: FilterOperator.GreaterThanOrEqual,
+      filterOperands: [fieldOperand('Severity'), literalOperand(options.minSeverity)]
+    }));
+  }
+
+  for (const [i, condition] of (options.where || []).entries()) {
+    const operator = WHERE_OPERATORS[condition && condition.operator];
+    if (!condition || typeof condition.field !== 'string' || operator === undefined) {
+      throw new ApiError(400, `where[${i}] must be { field, operator, value } with operator ${Object.keys(WHERE_OPERATORS).join(', ')}`);
+    }
+    clauses.push(new ContentFilterElement({
+      filterOperator: operator,
+      filterOperands: [fieldOperand(condition.field), literalOperand(condition.value)]
+    }));
+  }
+
+  const whereClause = clauses.length > 0 ? makeContentFilter(clauses.reduce((a, b) => and(a, b))) : undefined;
+
+  return {
+    fields: fields,
+    filter: constructEventFilter(fields, whereClause)
+  };
+}
+
+/**
+ * Convert one event field Variant to JSON
+ * NodeIds become strings, LocalizedText its text, ByteStrings (EventId, BranchId) base64
+ */
+function eventFieldToJSON(variant) {
+  if (!variant || variant.dataType === DataType.Null) {
+    return null;
+  }
+
+  const value = variant.value;
+  switch (variant.dataType) {
+    case DataType.NodeId:
+    case DataType.ExpandedNodeId:
+      return value && !value.isEmpty() ? value.toString() : null; // BranchId is ns=0;i=0 for the main branch
+    case DataType.LocalizedText:
+      return value ? value.text : null;
+    case DataType.QualifiedName:
+      return value ? value.name : null;
+    case DataType.ByteString:
+      return value ? value.toString('base64') : null;
+    case DataType.StatusCode:
+      return value ? value.toString() : null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Convert the event field Variants to an object keyed by field name
+ */
+function eventToJSON(fields, eventFields) {
+  const event = {};
+  fields.forEach((field, i) => {
+    event[field] = eventFieldToJSON(eventFields[i]);
+  });
+  return event;
+}
+
+module.exports = {
+  buildEventFilter,
+  eventToJSON
+};
@@ -0,0 +1,80 @@
+const {
+  DataChangeFilter,
+  DataChangeTrigger,
+  DeadbandType,
+  TimestampsToReturn
+} = require('node-opcua');
+const { ApiError } = require('../utils/errors');
+
+const TRIGGERS = ['Status', 'StatusValue', 'StatusValueTimestamp'];
+const DEADBAND_TYPES = ['None', 'Absolute', 'Percent'];
+const TIMESTAMPS = ['Source', 'Server', 'Both', 'Neither'];
+
+/**
+ * Validate the monitoring options of a subscribe request
+ * samplingInterval, queueSize, discardOldest, deadbandType, deadbandValue, trigger, timestamps
+ * Missing options are left undefined (defaults are applied when monitoring)
+ */
+function parseMonitoringOptions(options = {}) {
+  const { samplingInterval, queueSize, discardOldest, deadbandType, deadbandValue, trigger, timestamps } = options;
+
+  if (samplingInterval !== undefined && (typeof samplingInterval !== 'number' || samplingInterval < 0)) {
+    throw new ApiError(400, 'samplingInterval must be a number >= 0 (ms, 0 = fastest)');
+  }
+  if (queueSize !== undefined && (!Number.isInteger(queueSize) || queueSize < 1)) {
+    throw new ApiError(400, 'queueSize must be a positive integer');
+  }
+  if (discardOldest !== undefined && typeof discardOldest !== 'boolean') {
+    throw new ApiError(400, 'discardOldest must be a boolean');
+  }
+  if (deadbandType !== undefined && !DEADBAND_TYPES.includes(deadbandType)) {
+    throw new ApiError(400, `deadbandType must be one of ${DEADBAND_TYPES.join(', ')}`);
+  }
+  if (deadbandType && deadbandType !== 'None' && (typeof deadbandValue !== 'number' || deadbandValue < 0)) {
+    throw new ApiError(400, 'deadbandValue must be a number >= 0');
+  }
+  if (deadbandType === 'Percent' && deadbandValue > 100) {
+    throw new ApiError(400, 'deadbandValue of a Percent deadband must be between 0 and 100');
+  }
+  if (trigger !== undefined && !TRIGGERS.includes(trigger)) {
+    throw new ApiError(400, `trigger must be one of ${TRIGGERS.join(', ')}`);
+  }
+  if (timestamps !== undefined && !TIMESTAMPS.includes(timestamps)) {
+    throw new ApiError(400, `timestamps must be one of ${TIMESTAMPS.join(', ')}`);
+  }
+
+  const monitoring = { samplingInterval, queueSize, discardOldest, deadbandType, deadbandValue, trigger, timestamps };
+  Object.keys(monitoring).forEach(key => monitoring[key] === undefined && delete monitoring[key]);
+  return monitoring;
+}
+
+/**
+ * MonitoringParameters and TimestampsToReturn of a monitored item
+ * Defaults: sampling at the publishing interval, queue of 10 discarding the oldest, no filter, both timestamps
+ * A DataChangeFilter is only sent when a trigger or deadband is requested
+ */
+function buildMonitoringParameters(monitoring = {}, interval) {
+  const parameters = {
+    samplingInterval: monitoring.samplingInterval !== undefined ? monitoring.samplingInterval : interval,
+    discardOldest: monitoring.discardOldest !== undefined ? monitoring.discardOldest : true,
+    queueSize: monitoring.queueSize || 10
+  };
+
+  if (monitoring.trigger || (monitoring.deadbandType && monitoring.deadbandType !== 'None')) {
+    parameters.filter = new DataChangeFilter({
+      trigger: DataChangeTrigger[monitoring.trigger || 'StatusValue'],
+      deadbandType: DeadbandType[monitoring.deadbandType || 'None'],
+      deadbandValue: monitoring.deadbandValue || 0
+    });
+  }
+
+  return {
+    parameters,
+    timestampsToReturn: TimestampsToReturn[monitoring.timestamps || 'Both']
+  };
+}
+
+module.exports = {
+  parseMonitoringOptions,
+  buildMonitoringParameters
+};
@@ -0,0 +1,146 @@
+const {
+  AttributeIds,
+  NodeId,
+  VariableIds,
+  resolveNodeId
+} = require('node-opcua');
+const { ApiError } = require('../utils/errors');
+
+// Namespace of the PLC tags of S7-1500 / S7-1200 servers, default for unqualified browse names
+const S7_NAMESPACE_URI = 'http://www.siemens.com/simatic-s7-opcua';
+
+/**
+ * Read the NamespaceArray of the server (index -> namespace URI)
+ */
+async function readNamespaceArray(session) {
+  const dataValue = await session.read({
+    nodeId: resolveNodeId(VariableIds.Server_NamespaceArray),
+    attributeId: AttributeIds.Value
+  });
+  if (!dataValue.statusCode.isGood()) {
+    throw new Error(`Cannot read NamespaceArray: ${dataValue.statusCode.toString()}`);
+  }
+  return Array.from(dataValue.value.value || []);
+}
+
+/**
+ * Index of a namespace URI, ApiError 400 when the server does not know it
+ */
+function namespaceIndexOf(namespaceArray, namespaceUri) {
+  const index = namespaceArray.indexOf(namespaceUri);
+  if (index === -1) {
+    throw new ApiError(400, `Unknown namespace URI: ${namespaceUri}`);
+  }
+  return index;
+}
+
+/**
+ * NodeId string the server understands
+ * Expanded node ids ("nsu=<namespace URI>;s=...") get the current index of their namespace,
+ * other node ids are returned unchanged
+ */
+function toIndexedNodeId(nodeId, namespaceArray) {
+  if (typeof nodeId !== 'string' || !nodeId.startsWith('nsu=')) {
+    return nodeId;
+  }
+
+  const separator = nodeId.indexOf(';');
+  if (separator === -1) {
+    throw new ApiError(400, `Invalid nodeId: ${nodeId} (expected nsu=<namespace URI>;<identifier>)`);
+  }
+  const namespaceIndex = namespaceIndexOf(namespaceArray, nodeId.slice(4, separator));
+
+  let identifier;
+  try {
+    identifier = resolveNodeId(nodeId.slice(separator + 1));
+  } catch (err) {
+    throw new ApiError(400, `Invalid nodeId: ${nodeId} (${err.message})`);
+  }
+  return new NodeId(identifier.identifierType, identifier.value, namespaceIndex).toString();
+}
+
+/**
+ * Expanded node id ("nsu=<namespace URI>;...") of a node
+ * Node ids of namespace 0 and of namespaces missing from the array keep their indexed form
+ */
+function toExpandedNodeId(nodeId, namespaceArray) {
+  const id = resolveNodeId(nodeId);
+  return id.namespace === 0 || !namespaceArray[id.namespace] ? id.toString() : id.toString({ namespaceArray });
+}
+
+/**
+ * Namespace index used for browse names without a namespace
+ * The namespaceUri option, else the S7 namespace when the server has one, else 1 (first server namespace)
+ */
+function defaultNamespaceIndex(namespaceArray, namespaceUri) {
+  if (namespaceUri) {
+    return namespaceIndexOf(namespaceArray, namespaceUri);
+  }
+  const s7Index = namespaceArray.indexOf(S7_NAMESPACE_URI);
+  return s7Index !== -1 ? s7Index : 1;
+}
+
+/**
+ * Qualified browse name of a path segment
+ * "name", "3:name" (namespace index), "nsu=<namespace URI>;name", { name, namespaceUri } or { name, namespaceIndex }
+ */
+function parseSegment(segment, namespaceArray, defaultIndex) {
+  if (segment && typeof segment === 'object') {
+    const { name, namespaceUri, namespaceIndex } = segment;
+    if (typeof name !== 'string' || name === '') {
+      throw new ApiError(400, 'Path segment name must be a non-empty string');
+    }
+    if (namespaceUri !== undefined) {
+      return { namespaceIndex: namespaceIndexOf(namespaceArray, namespaceUri), name };
+    }
+    if (namespaceIndex !== undefined) {
+      if (!Number.isInteger(namespaceIndex) || namespaceIndex < 0) {
+        throw new ApiError(400, 'Path segment namespaceIndex must be an integer >= 0');
+      }
+      return { namespaceIndex, name };
+    }
+    return { namespaceIndex: defaultIndex, name };
+  }
+
+  if (typeof segment !== 'string' || segment.trim() === '') {
+    throw new ApiError(400, 'Path segments must be non-empty strings or { name, namespaceUri } objects');
+  }
+
+  if (segment.startsWith('nsu=')) {
+    const separator = segment.indexOf(';');
+    if (separator === -1 || separator === segment.length - 1) {
+      throw new ApiError(400, `Invalid path segment: ${segment} (expected nsu=<namespace URI>;<name>)`);
+    }
+    return { namespaceIndex: namespaceIndexOf(namespaceArray, segment.slice(4, separator)), name: segment.slice(separator + 1) };
+  }
+
+  const match = /^(\d+):(.+)$/.exec(segment);
+  if (match) {
+    return { namespaceIndex: Number(match[1]), name: match[2] };
+  }
+  return { namespaceIndex: defaultIndex, name: segment };
+}
+
+/**
+ * Target browse names of a relative path
+ * path: dotted string ("DataBlocksGlobal.DB_Data.Speed", segments may carry a namespace index "3:DB_Data")
+ * or an array of segments (needed for namespace URIs, which contain dots)
+ */
+function parseRelativePath(path, namespaceArray, defaultIndex) {
+  const segments = typeof path === 'string'
+    ? path.split('.').filter(segment => segment.trim())
+    : path;
+
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw new ApiError(400, 'Path must be a dotted string or a non-empty array of segments');
+  }
+  return segments.map(segment => parseSegment(segment, namespaceArray, defaultIndex));
+}
+
+module.exports = {
+  readNamespaceArray,
+  toIndexedNodeId,
+  toExpandedNodeId,
+  defaultNamespaceIndex,
+  parseRelativePath
+};
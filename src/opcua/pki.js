@@ -0,0 +1,544 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  OPCUACertificateManager,
+  makeApplicationUrn,
+  getHostname
+} = require('node-opcua');
+const {
+  coercePEMorDerToPrivateKey,
+  convertPEMtoDER,
+  exploreCertificate,
+  exploreCertificateRevocationList,
+  makeSHA1Thumbprint,
+  readCertificate,
+  readPrivateKey,
+  readPrivateKeyPEM,
+  publicKeyAndPrivateKeyMatches,
+  toPem
+} = require('node-opcua-crypto');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const APPLICATION_NAME = 'S7-1500 OPC UA Client';
+
+// PKI layout (node-opcua):
+//   own/certs/client_certificate.pem   own/private/private_key.pem
+//   trusted/certs  trusted/crl  issuers/certs  issuers/crl  rejected
+// plus the user certificate key store: users/<id>/certificate.pem, users/<id>/private_key.pem
+const FOLDERS = {
+  trusted: 'trusted/certs',
+  rejected: 'rejected',
+  issuers: 'issuers/certs'
+};
+
+const CRL_FOLDERS = {
+  trusted: 'trusted/crl',
+  issuers: 'issuers/crl'
+};
+
+function getPkiDir() {
+  return path.resolve(process.env.PKI_DIR || 'data/pki');
+}
+
+function getCertificateFile() {
+  return path.join(getPkiDir(), 'own/certs/client_certificate.pem');
+}
+
+function getPrivateKeyFile() {
+  return path.join(getPkiDir(), 'own/private/private_key.pem');
+}
+
+function getUserDir(id) {
+  return path.join(getPkiDir(), 'users', id);
+}
+
+/**
+ * Create a certificate manager on the PKI folder
+ * Each connection gets its own instance, the client disposes it on disconnect
+ */
+function createCertificateManager() {
+  return new OPCUACertificateManager({
+    rootFolder: getPkiDir(),
+    automaticallyAcceptUnknownCertificate: process.env.PKI_AUTO_ACCEPT_UNKNOWN === 'true'
+  });
+}
+
+/**
+ * Run an action with an initialized certificate manager (creates folders and private key)
+ */
+async function withCertificateManager(action) {
+  const certificateManager = createCertificateManager();
+  await certificateManager.initialize();
+  try {
+    return await action(certificateManager);
+  } finally {
+    await certificateManager.dispose();
+  }
+}
+
+/**
+ * OPCUAClient options for the application certificate
+ * The applicationUri must match the URI of the certificate, otherwise servers reject the session
+ */
+function getClientOptions() {
+  let applicationUri = makeApplicationUrn(getHostname(), APPLICATION_NAME);
+  if (fs.existsSync(getCertificateFile())) {
+    const info = describeCertificate(readCertificate(getCertificateFile()));
+    applicationUri = info.applicationUri || applicationUri;
+  }
+
+  return {
+    applicationName: APPLICATION_NAME,
+    applicationUri: applicationUri,
+    clientCertificateManager: createCertificateManager(),
+    certificateFile: getCertificateFile(),
+    privateKeyFile: getPrivateKeyFile()
+  };
+}
+
+/**
+ * Decode a PEM string or base64 DER to DER
+ */
+function toDER(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ApiError(400, `${name} must be a PEM string or base64 DER`);
+  }
+  try {
+    const der = value.includes('-----BEGIN') ? convertPEMtoDER(value) : Buffer.from(value, 'base64');
+    if (der.length === 0) {
+      throw new Error('empty');
+    }
+    return der;
+  } catch (err) {
+    throw new ApiError(400, `${name} is not a valid PEM or base64 DER value`);
+  }
+}
+
+/**
+ * Check a PEM private key and return it normalized
+ */
+function toPrivateKeyPEM(value, name) {
+  if (typeof value !== 'string' || !value.includes('PRIVATE KEY-----')) {
+    throw new ApiError(400, `${name} must be an unencrypted PEM private key`);
+  }
+  const pem = value.trim() + '\n';
+  try {
+    return { pem, key: coercePEMorDerToPrivateKey(pem) };
+  } catch (err) {
+    throw new ApiError(400, `${name} cannot be decoded: ${err.message}`);
+  }
+}
+
+/**
+ * Decode a certificate and check it matches its private key
+ */
+function checkKeyPair(certificate, privateKey) {
+  const der = toDER(certificate, 'certificate');
+  try {
+    describeCertificate(der);
+  } catch (err) {
+    throw new ApiError(400, `certificate cannot be decoded: ${err.message}`);
+  }
+
+  const key = toPrivateKeyPEM(privateKey, 'privateKey');
+  if (!publicKeyAndPrivateKeyMatches(der, key.key)) {
+    throw new ApiError(400, 'certificate does not match privateKey');
+  }
+  return { der, privateKeyPem: key.pem };
+}
+
+/**
+ * Describe a certificate (DER) for the API
+ */
+function describeCertificate(der, fileName) {
+  const { tbsCertificate } = exploreCertificate(der);
+  const altName = tbsCertificate.extensions?.subjectAltName || {};
+
+  return {
+    thumbprint: makeSHA1Thumbprint(der).toString('hex'),
+    subject: tbsCertificate.subject,
+    issuer: tbsCertificate.issuer,
+    serialNumber: tbsCertificate.serialNumber,
+    applicationUri: (altName.uniformResourceIdentifier || [])[0] || null,
+    dns: altName.dNSName || [],
+    validFrom: tbsCertificate.validity.notBefore,
+    validTo: tbsCertificate.validity.notAfter,
+    selfSigned: tbsCertificate.subjectFingerPrint === tbsCertificate.extensions?.authorityKeyIdentifier?.keyIdentifier ||
+      JSON.stringify(tbsCertificate.subject) === JSON.stringify(tbsCertificate.issuer),
+    fileName: fileName
+  };
+}
+
+/**
+ * Read the certificates of a PKI folder
+ */
+async function readFolder(folder) {
+  const dir = path.join(getPkiDir(), folder);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const certificates = [];
+  for (const fileName of await fs.promises.readdir(dir)) {
+    if (!/\.(pem|der)$/i.test(fileName)) {
+      continue;
+    }
+    try {
+      certificates.push(describeCertificate(readCertificate(path.join(dir, fileName)), fileName));
+    } catch (err) {
+      logger.warn(`Skipping unreadable certificate ${folder}/${fileName}: ${err.message}`);
+    }
+  }
+  return certificates;
+}
+
+/**
+ * Find a certificate by thumbprint in the trusted, rejected and issuers folders
+ */
+async function findCertificate(thumbprint) {
+  const wanted = String(thumbprint).toLowerCase().replace(/[^0-9a-f]/g, '');
+  for (const [status, folder] of Object.entries(FOLDERS)) {
+    const match = (await readFolder(folder)).find(certificate => certificate.thumbprint === wanted);
+    if (match) {
+      return { status, folder, certificate: match };
+    }
+  }
+  throw new ApiError(404, `Certificate not found: ${thumbprint}`);
+}
+
+/**
+ * Get the client application certificate
+ */
+async function getClientCertificate() {
+  if (!fs.existsSync(getCertificateFile())) {
+    throw new ApiError(404, 'No client certificate yet: create or import one (it is also created on the first connect)');
+  }
+
+  const der = readCertificate(getCertificateFile());
+  return {
+    success: true,
+    certificate: describeCertificate(der, path.basename(getCertificateFile())),
+    pem: toPem(der, 'CERTIFICATE')
+  };
+}
+
+/**
+ * Create a new self-signed client application certificate (replaces the current one)
+ */
+async function createClientCertificate(options = {}) {
+  const hostname = getHostname();
+  const applicationUri = options.applicationUri || makeApplicationUrn(hostname, APPLICATION_NAME);
+  const validityDays = options.validityDays || 365 * 5;
+
+  if (!Number.isInteger(validityDays) || validityDays <= 0) {
+    throw new ApiError(400, 'validityDays must be a positive integer');
+  }
+
+  await withCertificateManager(async (certificateManager) => {
+    await fs.promises.rm(getCertificateFile(), { force: true });
+    await certificateManager.createSelfSignedCertificate({
+      applicationUri: applicationUri,
+      subject: options.subject || `/CN=${APPLICATION_NAME}/O=OPC UA API/DC=${hostname}`,
+      dns: options.dns || [hostname],
+      ip: options.ip || [],
+      startDate: new Date(),
+      validity: validityDays,
+      outputFile: getCertificateFile()
+    });
+  });
+
+  logger.info(`Client certificate created for ${applicationUri}`);
+  return getClientCertificate();
+}
+
+/**
+ * Import a client application certificate, with its private key when it was created elsewhere
+ */
+async function importClientCertificate(certificate, privateKey) {
+  const der = toDER(certificate, 'certificate');
+  try {
+    describeCertificate(der);
+  } catch (err) {
+    throw new ApiError(400, `certificate cannot be decoded: ${err.message}`);
+  }
+
+  await withCertificateManager(async () => {
+    const imported = privateKey ? toPrivateKeyPEM(privateKey, 'privateKey') : null;
+    const key = imported ? imported.key : readPrivateKey(getPrivateKeyFile());
+
+    if (!publicKeyAndPrivateKeyMatches(der, key)) {
+      throw new ApiError(400, privateKey
+        ? 'certificate does not match privateKey'
+        : 'certificate does not match the current private key, include privateKey');
+    }
+
+    if (imported) {
+      await fs.promises.writeFile(getPrivateKeyFile(), imported.pem, { mode: 0o600 });
+    }
+    await fs.promises.writeFile(getCertificateFile(), toPem(der, 'CERTIFICATE'));
+  });
+
+  logger.info('Client certificate imported');
+  return getClientCertificate();
+}
+
+/**
+ * List trusted, rejected and issuer (CA) certificates
+ */
+async function listCertificates() {
+  const result = { success: true };
+  for (const [status, folder] of Object.entries(FOLDERS)) {
+    result[status] = await readFolder(folder);
+  }
+  return result;
+}
+
+/**
+ * Add a certificate to the trusted, rejected or issuers folder
+ */
+async function addCertificate(certificate, status = 'trusted') {
+  if (!FOLDERS[status]) {
+    throw new ApiError(400, `status must be one of ${Object.keys(FOLDERS).join(', ')}`);
+  }
+
+  const der = toDER(certificate, 'certificate');
+  let info;
+  try {
+    info = describeCertificate(der);
+  } catch (err) {
+    throw new ApiError(400, `certificate cannot be decoded: ${err.message}`);
+  }
+
+  await withCertificateManager(async () => {
+    // Remove other copies so the certificate has a single status
+    for (const folder of Object.values(FOLDERS)) {
+      for (const existing of await readFolder(folder)) {
+        if (existing.thumbprint === info.thumbprint) {
+          await fs.promises.rm(path.join(getPkiDir(), folder, existing.fileName));
+        }
+      }
+    }
+    const fileName = `${certificateName(info)}.pem`;
+    await fs.promises.writeFile(path.join(getPkiDir(), FOLDERS[status], fileName), toPem(der, 'CERTIFICATE'));
+    info.fileName = fileName;
+  });
+
+  logger.info(`Certificate ${info.thumbprint} added to ${status}`);
+  return { success: true, status: status, certificate: info };
+}
+
+/**
+ * Move a trusted or rejected certificate to the other folder
+ */
+async function moveCertificate(thumbprint, status) {
+  if (status !== 'trusted' && status !== 'rejected') {
+    throw new ApiError(400, 'status must be trusted or rejected');
+  }
+
+  const found = await findCertificate(thumbprint);
+  if (found.status !== status) {
+    await fs.promises.rename(
+      path.join(getPkiDir(), found.folder, found.certificate.fileName),
+      path.join(getPkiDir(), FOLDERS[status], found.certificate.fileName)
+    );
+    logger.info(`Certificate ${found.certificate.thumbprint} moved from ${found.status} to ${status}`);
+  }
+
+  return { success: true, status: status, certificate: found.certificate };
+}
+
+/**
+ * Delete a certificate from the PKI
+ */
+async function deleteCertificate(thumbprint) {
+  const found = await findCertificate(thumbprint);
+  await fs.promises.rm(path.join(getPkiDir(), found.folder, found.certificate.fileName));
+  logger.info(`Certificate ${found.certificate.thumbprint} deleted from ${found.status}`);
+  return { success: true, message: 'Certificate deleted', certificate: found.certificate };
+}
+
+/**
+ * List the certificate revocation lists
+ */
+async function listCrls() {
+  const crls = [];
+  for (const [location, folder] of Object.entries(CRL_FOLDERS)) {
+    const dir = path.join(getPkiDir(), folder);
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const fileName of await fs.promises.readdir(dir)) {
+      try {
+        const content = await fs.promises.readFile(path.join(dir, fileName));
+        const der = content.toString('ascii').includes('-----BEGIN') ? convertPEMtoDER(content.toString('ascii')) : content;
+        crls.push(describeCrl(der, location, fileName));
+      } catch (err) {
+        logger.warn(`Skipping unreadable CRL ${folder}/${fileName}: ${err.message}`);
+      }
+    }
+  }
+  return { success: true, crls: crls, count: crls.length };
+}
+
+function describeCrl(der, location, fileName) {
+  const { tbsCertList } = exploreCertificateRevocationList(der);
+  return {
+    location: location,
+    fileName: fileName,
+    issuer: tbsCertList.issuer,
+    thisUpdate: tbsCertList.thisUpdate,
+    nextUpdate: tbsCertList.nextUpdate,
+    revokedCertificates: (tbsCertList.revokedCertificates || []).length
+  };
+}
+
+/**
+ * Add a CRL, to the trusted folder (CRLs of trusted CAs) or the issuers folder
+ */
+async function addCrl(crl, location = 'issuers') {
+  if (!CRL_FOLDERS[location]) {
+    throw new ApiError(400, `location must be one of ${Object.keys(CRL_FOLDERS).join(', ')}`);
+  }
+
+  const der = toDER(crl, 'crl');
+  let info;
+  try {
+    info = describeCrl(der, location);
+  } catch (err) {
+    throw new ApiError(400, `crl cannot be decoded: ${err.message}`);
+  }
+
+  await withCertificateManager(async () => {
+    info.fileName = `crl_${makeSHA1Thumbprint(der).toString('hex')}.pem`;
+    await fs.promises.writeFile(path.join(getPkiDir(), CRL_FOLDERS[location], info.fileName), toPem(der, 'X509 CRL'));
+  });
+
+  logger.info(`CRL ${info.fileName} added to ${location}`);
+  return { success: true, crl: info };
+}
+
+/**
+ * Delete a CRL by file name
+ */
+async function deleteCrl(fileName, location = 'issuers') {
+  if (!CRL_FOLDERS[location]) {
+    throw new ApiError(400, `location must be one of ${Object.keys(CRL_FOLDERS).join(', ')}`);
+  }
+  if (!fileName || path.basename(fileName) !== fileName) {
+    throw new ApiError(400, 'fileName is invalid');
+  }
+
+  const file = path.join(getPkiDir(), CRL_FOLDERS[location], fileName);
+  if (!fs.existsSync(file)) {
+    throw new ApiError(404, `CRL not found: ${location}/${fileName}`);
+  }
+  await fs.promises.rm(file);
+
+  logger.info(`CRL ${fileName} deleted from ${location}`);
+  return { success: true, message: 'CRL deleted' };
+}
+
+/**
+ * List the user certificates of the key store
+ */
+async function listUserCertificates() {
+  const dir = path.join(getPkiDir(), 'users');
+  const users = [];
+  if (fs.existsSync(dir)) {
+    for (const id of await fs.promises.readdir(dir)) {
+      try {
+        users.push({ id, ...describeCertificate(readCertificate(path.join(getUserDir(id), 'certificate.pem'))) });
+      } catch (err) {
+        logger.warn(`Skipping unreadable user certificate ${id}: ${err.message}`);
+      }
+    }
+  }
+  return { success: true, users: users, count: users.length };
+}
+
+/**
+ * Store a user certificate and its private key (id defaults to the certificate thumbprint)
+ * An existing id is only replaced with overwrite
+ */
+async function importUserCertificate(id, certificate, privateKey, overwrite = false) {
+  const { der, privateKeyPem } = checkKeyPair(certificate, privateKey);
+  const info = describeCertificate(der);
+  const userId = id || info.thumbprint;
+
+  if (!/^[A-Za-z0-9_.-]+$/.test(userId) || userId.startsWith('.')) {
+    throw new ApiError(400, 'id may only contain letters, digits, "_", "-" and "."');
+  }
+
+  const dir = getUserDir(userId);
+  if (!overwrite && fs.existsSync(path.join(dir, 'certificate.pem'))) {
+    throw new ApiError(409, `User certificate already exists: ${userId} (set overwrite to replace it)`);
+  }
+  await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+  await fs.promises.writeFile(path.join(dir, 'certificate.pem'), toPem(der, 'CERTIFICATE'));
+  await fs.promises.writeFile(path.join(dir, 'private_key.pem'), privateKeyPem, { mode: 0o600 });
+
+  logger.info(`User certificate ${userId} stored`);
+  return { success: true, user: { id: userId, ...info } };
+}
+
+/**
+ * Remove a user certificate from the key store
+ */
+async function deleteUserCertificate(id) {
+  const dir = getUserDir(path.basename(String(id)));
+  if (!fs.existsSync(path.join(dir, 'certificate.pem'))) {
+    throw new ApiError(404, `User certificate not found: ${id}`);
+  }
+  await fs.promises.rm(dir, { recursive: true, force: true });
+
+  logger.info(`User certificate ${id} deleted`);
+  return { success: true, message: 'User certificate deleted' };
+}
+
+/**
+ * Certificate (DER) and private key (PEM) of a user identity,
+ * from the key store (userCertificateId) or given inline (userCertificate + userPrivateKey)
+ */
+function getUserCertificate({ userCertificateId, userCertificate, userPrivateKey }) {
+  if (userCertificateId) {
+    const dir = getUserDir(path.basename(String(userCertificateId)));
+    if (!fs.existsSync(path.join(dir, 'certificate.pem'))) {
+      throw new ApiError(404, `User certificate not found: ${userCertificateId}`);
+    }
+    return {
+      certificate: readCertificate(path.join(dir, 'certificate.pem')),
+      privateKey: readPrivateKeyPEM(path.join(dir, 'private_key.pem'))
+    };
+  }
+
+  const { der, privateKeyPem } = checkKeyPair(userCertificate, userPrivateKey);
+  return { certificate: der, privateKey: privateKeyPem };
+}
+
+/**
+ * File name in node-opcua style: <commonName>[<thumbprint>]
+ */
+function certificateName(info) {
+  const commonName = (info.subject.commonName || 'certificate').replace(/[^a-zA-Z0-9_.-]/g, '_');
+  return `${commonName}[${info.thumbprint}]`;
+}
+
+module.exports = {
+  APPLICATION_NAME,
+  getClientOptions,
+  getClientCertificate,
+  createClientCertificate,
+  importClientCertificate,
+  listCertificates,
+  addCertificate,
+  moveCertificate,
+  deleteCertificate,
+  listCrls,
+  addCrl,
+  deleteCrl,
+  listUserCertificates,
+  importUserCertificate,
+  deleteUserCertificate,
+  getUserCertificate
+};
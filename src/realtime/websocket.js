@@ -0,0 +1,119 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const connections = require('../opcua/connections');
+const { authorizeUpgrade } = require('../auth/middleware');
+const logger = require('../utils/logger');
+
+const WS_PATH = '/api/opcua/ws';
+
+/**
+ * Attach the subscription streaming WebSocket server to the HTTP server
+ *
+ * Clients connect to ws://host:port/api/opcua/ws (optionally ?subscriptionIds=a,b)
+ * and send { "action": "attach" | "detach", "subscriptionIds": [...] }.
+ * Every change of an attached subscription is pushed as { "type": "change", ... },
+ * every event of an attached event subscription as { "type": "event", ... }.
+ * Connections need the read permission, checked like the REST API.
+ */
+function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: WS_PATH,
+    // Same credentials as the REST API (headers, or ?access_token= from browsers)
+    verifyClient: ({ req }, callback) => {
+      const error = authorizeUpgrade(req);
+      if (error) {
+        logger.warn(`WebSocket connection rejected: ${error}`);
+        return callback(false, 401, error);
+      }
+      callback(true);
+    }
+  });
+
+  wss.on('connection', (ws, req) => {
+    const attached = new Set();
+
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+
+    const attach = (subscriptionIds) => {
+      const unknown = subscriptionIds.filter(id => !connections.hasSubscription(id));
+      if (unknown.length > 0) {
+        send({ type: 'error', error: `Subscription not found: ${unknown.join(', ')}` });
+      }
+      subscriptionIds
+        .filter(id => !unknown.includes(id))
+        .forEach(id => attached.add(id));
+      send({ type: 'attached', subscriptionIds: Array.from(attached) });
+    };
+
+    const onChange = (change) => {
+      if (attached.has(change.subscriptionId)) {
+        send({ type: 'change', ...change });
+      }
+    };
+    const onEvent = (event) => {
+      if (attached.has(event.subscriptionId)) {
+        send({ type: 'event', ...event });
+      }
+    };
+    const onStatus = (status) => {
+      if (attached.has(status.subscriptionId)) {
+        send({ type: 'status', ...status });
+      }
+    };
+    connections.on('change', onChange);
+    connections.on('event', onEvent);
+    connections.on('status', onStatus);
+
+    const initialIds = new URL(req.url, 'http://localhost').searchParams.get('subscriptionIds');
+    if (initialIds) {
+      attach(initialIds.split(',').map(id => id.trim()).filter(id => id));
+    }
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return send({ type: 'error', error: 'Invalid JSON message' });
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return send({ type: 'error', error: 'Message must be a JSON object' });
+      }
+
+      const subscriptionIds = Array.isArray(message.subscriptionIds)
+        ? message.subscriptionIds.filter(id => typeof id === 'string')
+        : [];
+
+      if (message.action === 'attach') {
+        attach(subscriptionIds);
+      } else if (message.action === 'detach') {
+        subscriptionIds.forEach(id => attached.delete(id));
+        send({ type: 'attached', subscriptionIds: Array.from(attached) });
+      } else {
+        send({ type: 'error', error: `Unknown action: ${message.action}` });
+      }
+    });
+
+    ws.on('close', () => {
+      connections.off('change', onChange);
+      connections.off('event', onEvent);
+      connections.off('status', onStatus);
+      logger.info(`WebSocket client disconnected (${attached.size} subscription(s) attached)`);
+    });
+
+    ws.on('error', (err) => {
+      logger.error('WebSocket error:', err);
+    });
+
+    logger.info('WebSocket client connected');
+  });
+
+  logger.info(`WebSocket streaming available at ${WS_PATH}`);
+  return wss;
+}
+
+module.exports = { attachWebSocketServer };
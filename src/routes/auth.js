@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth/auth');
+const logger = require('../utils/logger');
+
+/**
+ * POST /api/auth/login
+ * Log in with user name and password, returns a JWT for "Authorization: Bearer <token>"
+ */
+router.post('/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'username and password are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...auth.login(username, password)
+    });
+  } catch (error) {
+    logger.error('Login endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to log in'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Identity and permissions of the caller
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    enabled: auth.enabled,
+    identity: req.auth || null
+  });
+});
+
+/**
+ * GET /api/auth/roles
+ * List the roles and their permissions
+ */
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    roles: auth.getRoles()
+  });
+});
+
+/**
+ * GET /api/auth/users
+ * List the users
+ */
+router.get('/users', (req, res) => {
+  const users = auth.listUsers();
+  res.json({
+    success: true,
+    users: users,
+    count: users.length
+  });
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user ({ name, password, role })
+ */
+router.post('/users', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: auth.createUser(req.body)
+    });
+  } catch (error) {
+    logger.error('Create user endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create user'
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/users/:name
+ * Change the role and/or password of a user
+ */
+router.put('/users/:name', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: auth.updateUser(req.params.name, req.body)
+    });
+  } catch (error) {
+    logger.error('Update user endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update user'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:name
+ * Delete a user, its tokens stop working
+ */
+router.delete('/users/:name', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: auth.deleteUser(req.params.name),
+      message: 'User deleted'
+    });
+  } catch (error) {
+    logger.error('Delete user endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete user'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/keys
+ * List the API keys (without the keys themselves)
+ */
+router.get('/keys', (req, res) => {
+  const keys = auth.listApiKeys();
+  res.json({
+    success: true,
+    keys: keys,
+    count: keys.length
+  });
+});
+
+/**
+ * POST /api/auth/keys
+ * Create an API key ({ name, role }), the key is only returned in this response
+ */
+router.post('/keys', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      key: auth.createApiKey(req.body)
+    });
+  } catch (error) {
+    logger.error('Create API key endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      key: auth.deleteApiKey(req.params.id),
+      message: 'API key deleted'
+    });
+  } catch (error) {
+    logger.error('Delete API key endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,147 @@
 const express = require('express');
 const router = express.Router();
-const opcuaClient = require('../opcua/client');
+const connections = require('../opcua/connections');
+const discovery = require('../opcua/discovery');
+const { parseBrowseOptions } = require('../opcua/browse');
+const { parseMonitoringOptions } = require('../opcua/monitoring');
+const historian = require('../historian/historian');
+const tagCatalog = require('../tags/catalog');
+const { parseFormat, toCSV, exportTree } = require('../tags/transfer');
+const { ApiError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
+/**
+ * Resolve the connection a request targets (connectionId in body or query)
+ */
+const getClient = (req) => connections.get(req.body.connectionId || req.query.connectionId);
+
+/**
+ * Catalog entries of the tag names of a request and the connection they belong to
+ * Tags without a connection use the requested one; all tags (and the nodeIds of the request, withNodeIds)
+ * must be on the same connection
+ */
+const resolveTags = (req, names, withNodeIds = false) => {
+  const tags = names.map(name => tagCatalog.get(name));
+  const clients = new Set(tags.map(tag => tag.connection ? connections.find(tag.connection) : getClient(req)));
+  if (withNodeIds || tags.length === 0) {
+    clients.add(getClient(req));
+  }
+  if (clients.size > 1) {
+    throw new ApiError(400, 'All tags and nodeIds of a request must belong to the same connection');
+  }
+  return { client: clients.values().next().value, tags };
+};
+
+/**
+ * Connection and nodeId of a single-node request: { tag } or { nodeId }
+ */
+const resolveNode = (req) => {
+  if (req.body.tag === undefined) {
+    return { client: getClient(req), nodeId: req.body.nodeId, tag: null };
+  }
+  const { client, tags } = resolveTags(req, [req.body.tag]);
+  return { client, nodeId: tags[0].nodeId, tag: tags[0] };
+};
+
+/**
+ * Connection and registeredId of a registered-node request: { registeredId } or { tag } of a registered node
+ */
+const resolveRegistered = (req) => {
+  if (req.body.tag === undefined) {
+    return { client: getClient(req), registeredId: req.body.registeredId, tag: null };
+  }
+  const { client, tag } = resolveNode(req);
+  return { client, registeredId: client.findRegisteredId(tag.nodeId), tag };
+};
+
+/**
+ * Catalog fields added to the values read through a tag
+ */
+const tagInfo = (tag) => tag ? { tag: tag.name, unit: tag.unit, description: tag.description } : {};
+
+/**
+ * Items of a multi-item subscription request: nodeIds (strings), tags (names) and/or items ([{ nodeId } | { registeredId } | { tag }])
+ * Monitoring options of an item (samplingInterval, deadbandType, ...) are validated into item.monitoring
+ * Returns null when the list is empty or malformed
+ */
+const parseSubscriptionItems = ({ nodeIds, tags, items }) => {
+  if ([nodeIds, tags, items].some(list => list !== undefined && !Array.isArray(list))) {
+    return null;
+  }
+  const list = [
+    ...(nodeIds || []).map(nodeId => ({ nodeId })),
+    ...(tags || []).map(tag => ({ tag })),
+    ...(items || [])
+  ];
+  const valid = list.every(item => item && ['nodeId', 'registeredId', 'tag'].some(key => typeof item[key] === 'string'));
+  if (!valid || list.length === 0) {
+    return null;
+  }
+  return list.map(item => ({
+    nodeId: item.nodeId,
+    registeredId: item.registeredId,
+    tag: item.tag,
+    monitoring: parseMonitoringOptions(item)
+  }));
+};
+
+/**
+ * Resolve the tags of parsed subscription items to their nodeIds
+ * Returns the connection of the items (the requested one too when withRequested) and the items
+ */
+const resolveSubscriptionItems = (req, items, withRequested = false) => {
+  const named = items.filter(item => item.tag !== undefined);
+  const { client, tags } = resolveTags(req, named.map(item => item.tag), withRequested || named.length < items.length);
+  named.forEach((item, i) => {
+    item.nodeId = tags[i].nodeId;
+    item.tag = tags[i].name;
+  });
+  return { client, items };
+};
+
+/**
+ * Size of a subscription change buffer (bufferSize), undefined when not given
+ * Returns false when invalid
+ */
+const isValidBufferSize = (bufferSize) => bufferSize === undefined ||
+  (Number.isInteger(bufferSize) && bufferSize >= 1 && bufferSize <= 100000);
+
+/**
+ * POST /api/opcua/discover
+ * List the servers and endpoints (security policy, mode, user token types) offered at a URL
+ */
+router.post('/discover', async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint || !/^opc\.tcp:\/\//.test(endpoint)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Endpoint (opc.tcp://host:port) is required'
+      });
+    }
+
+    const result = await discovery.discover(endpoint);
+    res.json(result);
+  } catch (error) {
+    logger.error('Discover endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to discover endpoints'
+    });
+  }
+});
+
 /**
  * POST /api/opcua/connect
  * Connect to OPC UA server
  */
 router.post('/connect', async (req, res) => {
   try {
-    const { endpoint, securityPolicy, securityMode, authType, username, password } = req.body;
+    const {
+      endpoint, name, securityPolicy, securityMode, authType, username, password,
+      userCertificateId, userCertificate, userPrivateKey, autoReconnect, index
+    } = req.body;
 
     if (!endpoint) {
       return res.status(400).json({
@@ -25,19 +157,32 @@ router.post('/connect', async (req, res) => {
       });
     }
 
-    const result = await opcuaClient.connect({
+    if (authType === 'Certificate' && !userCertificateId && (!userCertificate || !userPrivateKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'userCertificateId, or userCertificate and userPrivateKey, are required for Certificate authentication'
+      });
+    }
+
+    const result = await connections.connect({
+      name,
       endpoint,
       securityPolicy: securityPolicy || 'None',
       securityMode: securityMode || 'None',
       authType: authType || 'Anonymous',
       username: username || '',
-      password: password || ''
+      password: password || '',
+      userCertificateId,
+      userCertificate,
+      userPrivateKey,
+      autoReconnect: autoReconnect !== false,
+      index: index !== false
     });
 
     res.json(result);
   } catch (error) {
     logger.error('Connect endpoint error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to connect to PLC'
     });
@@ -50,11 +195,11 @@ router.post('/connect', async (req, res) => {
  */
 router.post('/disconnect', async (req, res) => {
   try {
-    const result = await opcuaClient.disconnect();
+    const result = await connections.disconnect(req.body.connectionId);
     res.json(result);
   } catch (error) {
     logger.error('Disconnect endpoint error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to disconnect'
     });
@@ -67,11 +212,22 @@ router.post('/disconnect', async (req, res) => {
  */
 router.get('/status', async (req, res) => {
   try {
-    const status = await opcuaClient.getStatus();
+    const { connectionId } = req.query;
+
+    // No connection open yet: report disconnected instead of an error
+    if (!connectionId && connections.list().length === 0) {
+      return res.json({
+        connected: false,
+        endpoint: null,
+        sessionActive: false
+      });
+    }
+
+    const status = await getClient(req).getStatus();
     res.json(status);
   } catch (error) {
     logger.error('Status endpoint error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       connected: false,
       endpoint: null,
       sessionActive: false,
@@ -80,26 +236,48 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/opcua/connections
+ * Get list of all connections
+ */
+router.get('/connections', (req, res) => {
+  try {
+    const list = connections.list();
+    res.json({
+      success: true,
+      connections: list,
+      count: list.length
+    });
+  } catch (error) {
+    logger.error('Get connections endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/opcua/read
  * Read a variable from PLC
  */
 router.post('/read', async (req, res) => {
   try {
-    const { nodeId } = req.body;
+    const { indexRange } = req.body;
 
-    if (!nodeId) {
+    if (!req.body.nodeId && !req.body.tag) {
       return res.status(400).json({
         success: false,
-        error: 'nodeId is required'
+        error: 'nodeId or tag is required'
       });
     }
 
-    const result = await opcuaClient.readVariable(nodeId);
-    res.json(result);
+    const { client, nodeId, tag } = resolveNode(req);
+    const result = await client.readVariable(nodeId, { indexRange });
+    res.json({ ...result, ...tagInfo(tag) });
   } catch (error) {
     logger.error('Read endpoint error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to read variable'
     });
@@ -107,318 +285,1223 @@ router.post('/read', async (req, res) => {
 });
 
 /**
- * POST /api/opcua/write
- * Write a variable to PLC
+ * POST /api/opcua/history-read
+ * Read historical values (raw, processed aggregates or at given times)
  */
-router.post('/write', async (req, res) => {
+router.post('/history-read', async (req, res) => {
   try {
-    const { nodeId, value, dataType } = req.body;
+    const {
+      nodeId,
+      mode,
+      start,
+      end,
+      maxValues,
+      returnBounds,
+      aggregate,
+      processingInterval,
+      timestamps,
+      useSimpleBounds,
+      indexRange,
+      continuationPoint,
+      releaseContinuationPoint
+    } = req.body;
 
-    if (!nodeId || value === undefined || value === null) {
+    if (!nodeId) {
       return res.status(400).json({
         success: false,
-        error: 'nodeId and value are required'
+        error: 'nodeId is required'
       });
     }
 
-    const result = await opcuaClient.writeVariable(nodeId, value, dataType || 'Double');
-    res.json(result);
-  } catch (error) {
-    logger.error('Write endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to write variable'
-    });
-  }
-});
+    if (maxValues !== undefined && (!Number.isInteger(maxValues) || maxValues < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxValues must be a non-negative integer'
+      });
+    }
 
-/**
- * POST /api/opcua/browse
- * Browse OPC UA nodes
- */
-router.post('/browse', async (req, res) => {
-  try {
-    const { nodeId } = req.body;
-    const result = await opcuaClient.browseNodes(nodeId || 'RootFolder');
+    const result = await getClient(req).readHistory(nodeId, {
+      mode,
+      start,
+      end,
+      maxValues,
+      returnBounds,
+      aggregate,
+      processingInterval,
+      timestamps,
+      useSimpleBounds,
+      indexRange,
+      continuationPoint,
+      releaseContinuationPoint
+    });
     res.json(result);
   } catch (error) {
-    logger.error('Browse endpoint error:', error);
-    res.status(500).json({
+    logger.error('History read endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to browse nodes'
+      error: error.message || 'Failed to read history'
     });
   }
 });
 
 /**
- * POST /api/opcua/search
- * Search for nodes by name
+ * POST /api/opcua/read-multiple
+ * Read many variables in one OPC UA request
  */
-router.post('/search', async (req, res) => {
+router.post('/read-multiple', async (req, res) => {
   try {
-    const { searchTerm } = req.body;
-    
-    if (!searchTerm) {
+    const { nodeIds = [], tags = [], attributeIds, indexRanges } = req.body;
+
+    if (!Array.isArray(nodeIds) || !Array.isArray(tags) || nodeIds.length + tags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeIds and/or tags must be a non-empty array'
+      });
+    }
+
+    // attributeIds and indexRanges apply to the nodeIds followed by the tags
+    const count = nodeIds.length + tags.length;
+
+    if (attributeIds !== undefined && (!Array.isArray(attributeIds) || attributeIds.length !== count)) {
+      return res.status(400).json({
+        success: false,
+        error: 'attributeIds must be an array with the same length as nodeIds (plus tags)'
+      });
+    }
+
+    if (indexRanges !== undefined && (!Array.isArray(indexRanges) || indexRanges.length !== count)) {
       return res.status(400).json({
         success: false,
-        error: 'searchTerm is required'
+        error: 'indexRanges must be an array with the same length as nodeIds (plus tags)'
       });
     }
 
-    const result = await opcuaClient.searchNodesByName(searchTerm);
+    const resolved = resolveTags(req, tags, nodeIds.length > 0);
+    const result = await resolved.client.readMultiple([...nodeIds, ...resolved.tags.map(tag => tag.nodeId)], attributeIds, indexRanges);
+    resolved.tags.forEach((tag, i) => Object.assign(result.results[nodeIds.length + i], tagInfo(tag)));
     res.json(result);
   } catch (error) {
-    logger.error('Search endpoint error:', error);
-    res.status(500).json({
+    logger.error('Read multiple endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to search nodes'
+      error: error.message || 'Failed to read variables'
     });
   }
 });
 
 /**
- * POST /api/opcua/subscribe
- * Subscribe to variable changes
+ * POST /api/opcua/write
+ * Write a variable to PLC
  */
-router.post('/subscribe', async (req, res) => {
+router.post('/write', async (req, res) => {
   try {
-    const { nodeId, interval } = req.body;
+    const { value, indexRange } = req.body;
 
-    if (!nodeId) {
+    if ((!req.body.nodeId && !req.body.tag) || value === undefined || value === null) {
       return res.status(400).json({
         success: false,
-        error: 'nodeId is required'
+        error: 'nodeId (or tag) and value are required'
       });
     }
 
-    const result = await opcuaClient.subscribe(nodeId, interval || 1000);
-    res.json(result);
+    const { client, nodeId, tag } = resolveNode(req);
+    if (tag) {
+      tagCatalog.assertWritable(tag);
+    }
+    const result = await client.writeVariable(nodeId, value, { indexRange });
+    res.json(tag ? { ...result, tag: tag.name } : result);
   } catch (error) {
-    logger.error('Subscribe endpoint error:', error);
-    res.status(500).json({
+    logger.error('Write endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to create subscription'
+      error: error.message || 'Failed to write variable'
     });
   }
 });
 
 /**
- * POST /api/opcua/unsubscribe
- * Unsubscribe from variable changes
+ * POST /api/opcua/write-multiple
+ * Write many variables in one OPC UA request
  */
-router.post('/unsubscribe', async (req, res) => {
+router.post('/write-multiple', async (req, res) => {
   try {
-    const { subscriptionId } = req.body;
+    const { items, validate } = req.body;
 
-    if (!subscriptionId) {
+    if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'subscriptionId is required'
+        error: 'items must be a non-empty array'
+      });
+    }
+
+    if (items.some(item => !item || (item.nodeId === undefined && item.registeredId === undefined && item.tag === undefined))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every item requires a nodeId, registeredId or tag'
       });
     }
 
-    const result = await opcuaClient.unsubscribe(subscriptionId);
+    const named = items.filter(item => item.tag !== undefined);
+    const { client, tags } = resolveTags(req, named.map(item => item.tag), named.length < items.length);
+    tags.forEach(tag => tagCatalog.assertWritable(tag));
+
+    const tagsByItem = new Map(named.map((item, i) => [item, tags[i]]));
+    const targets = items.map(item => tagsByItem.has(item)
+      ? { nodeId: tagsByItem.get(item).nodeId, value: item.value, indexRange: item.indexRange }
+      : item);
+
+    const result = await client.writeMultiple(targets, { validate: validate === true });
+    result.results.forEach((itemResult, i) => {
+      if (tagsByItem.has(items[i])) {
+        itemResult.tag = tagsByItem.get(items[i]).name;
+      }
+    });
+
+    // Validation failed: nothing was written
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
     res.json(result);
   } catch (error) {
-    logger.error('Unsubscribe endpoint error:', error);
-    res.status(500).json({
+    logger.error('Write multiple endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to unsubscribe'
+      error: error.message || 'Failed to write variables'
     });
   }
 });
 
 /**
- * POST /api/opcua/register
- * Register a node for efficient access
+ * GET /api/opcua/structure-definition?dataTypeId=...
+ * Describe the fields of a structure (UDT) data type
  */
-router.post('/register', async (req, res) => {
+router.get('/structure-definition', async (req, res) => {
   try {
-    const { nodeId } = req.body;
+    const { dataTypeId } = req.query;
 
-    if (!nodeId) {
+    if (!dataTypeId) {
       return res.status(400).json({
         success: false,
-        error: 'nodeId is required'
+        error: 'dataTypeId is required'
       });
     }
 
-    const result = await opcuaClient.registerNode(nodeId);
+    const result = await getClient(req).getStructureDefinition(dataTypeId);
     res.json(result);
   } catch (error) {
-    logger.error('Register node endpoint error:', error);
-    res.status(500).json({
+    logger.error('Structure definition endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to register node'
+      error: error.message || 'Failed to get structure definition'
     });
   }
 });
 
 /**
- * POST /api/opcua/unregister
- * Unregister a node
+ * POST /api/opcua/browse
+ * Browse OPC UA nodes
  */
-router.post('/unregister', async (req, res) => {
+router.post('/browse', async (req, res) => {
   try {
-    const { registeredId } = req.body;
-
-    if (!registeredId) {
-      return res.status(400).json({
-        success: false,
-        error: 'registeredId is required'
-      });
-    }
-
-    const result = await opcuaClient.unregisterNode(registeredId);
+    const { nodeId } = req.body;
+    const result = await getClient(req).browseNodes(nodeId || 'RootFolder');
     res.json(result);
   } catch (error) {
-    logger.error('Unregister node endpoint error:', error);
-    res.status(500).json({
+    logger.error('Browse endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to unregister node'
+      error: error.message || 'Failed to browse nodes'
     });
   }
 });
 
 /**
- * POST /api/opcua/read-registered
- * Read from a registered node
+ * POST /api/opcua/browse/tree
+ * Browse the tree below a node (maxDepth, maxNodes, referenceType, direction, nodeClasses)
+ * With stream: true the nodes are streamed flat as NDJSON while browsing, without node limit
  */
-router.post('/read-registered', async (req, res) => {
+router.post('/browse/tree', async (req, res) => {
+  let aborted = false;
   try {
-    const { registeredId } = req.body;
+    const { nodeId, maxDepth = 10, maxNodes = 10000, stream } = req.body;
 
-    if (!registeredId) {
+    if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 50) {
       return res.status(400).json({
         success: false,
-        error: 'registeredId is required'
+        error: 'maxDepth must be an integer between 0 and 50'
       });
     }
 
-    const result = await opcuaClient.readRegisteredNode(registeredId);
-    res.json(result);
+    if (!Number.isInteger(maxNodes) || maxNodes < 1 || maxNodes > 100000) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxNodes must be an integer between 1 and 100000'
+      });
+    }
+
+    const options = { ...parseBrowseOptions(req.body), maxDepth };
+
+    if (!stream) {
+      const result = await getClient(req).browseTree(nodeId || 'RootFolder', { ...options, maxNodes });
+      return res.json(result);
+    }
+
+    // Stop browsing when the client goes away (res, not req: the request closes once its body is read)
+    res.on('close', () => {
+      aborted = !res.writableEnded;
+    });
+
+    // One JSON object per line, parents before their children, then a summary line
+    const result = await getClient(req).browseTree(nodeId || 'RootFolder', options, (node) => {
+      if (aborted) {
+        throw new Error('Browse stream closed by the client');
+      }
+      if (!res.headersSent) {
+        res.set('Content-Type', 'application/x-ndjson');
+      }
+      res.write(`${JSON.stringify(node)}\n`);
+    });
+    res.end(`${JSON.stringify({ done: true, nodeCount: result.nodeCount })}\n`);
   } catch (error) {
-    logger.error('Read registered node endpoint error:', error);
-    res.status(500).json({
+    if (aborted) {
+      return logger.info('Browse tree stream closed by the client');
+    }
+    logger.error('Browse tree endpoint error:', error);
+    if (res.headersSent) {
+      return res.end(`${JSON.stringify({ done: false, error: error.message })}\n`);
+    }
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to read registered node'
+      error: error.message || 'Failed to browse tree'
     });
   }
 });
 
 /**
- * POST /api/opcua/write-registered
- * Write to a registered node
+ * POST /api/opcua/browse/export
+ * Export the variables below a node as tag rows (name, nodeId, browsePath, dataType, accessLevel, ...)
+ * format: json (default) or csv, ready for POST /api/opcua/tags/import; browse options as for /browse/tree
  */
-router.post('/write-registered', async (req, res) => {
+router.post('/browse/export', async (req, res) => {
   try {
-    const { registeredId, value, dataType } = req.body;
+    const { nodeId, maxDepth = 10, maxNodes = 10000, format } = req.body;
 
-    logger.info('Write registered request:', { registeredId, value, dataType });
+    if (!nodeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeId is required'
+      });
+    }
 
-    if (!registeredId || value === undefined || value === null) {
-      logger.error('Missing required fields:', { registeredId, value });
+    if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 50) {
       return res.status(400).json({
         success: false,
-        error: 'registeredId and value are required'
+        error: 'maxDepth must be an integer between 0 and 50'
       });
     }
 
-    const result = await opcuaClient.writeRegisteredNode(registeredId, value, dataType || 'Double');
-    res.json(result);
+    if (!Number.isInteger(maxNodes) || maxNodes < 1 || maxNodes > 100000) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxNodes must be an integer between 1 and 100000'
+      });
+    }
+
+    parseFormat(format);
+    const options = { ...parseBrowseOptions(req.body), maxDepth, maxNodes };
+    const result = await exportTree(getClient(req), nodeId, options);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="browse-export.csv"');
+      res.set('X-Truncated', String(result.truncated));
+      return res.send(toCSV(result.rows));
+    }
+
+    res.json({
+      success: true,
+      nodeId: nodeId,
+      tags: result.rows,
+      count: result.rows.length,
+      nodeCount: result.nodeCount,
+      truncated: result.truncated
+    });
   } catch (error) {
-    logger.error('Write registered node endpoint error:', error);
-    res.status(500).json({
+    logger.error('Browse export endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to write to registered node'
+      error: error.message || 'Failed to export browsed nodes'
     });
   }
 });
 
 /**
- * GET /api/opcua/registered-nodes
- * Get list of all registered nodes
+ * GET /api/opcua/node/:nodeId/details
+ * Get all attributes and metadata of a node (nodeId URL-encoded)
  */
-router.get('/registered-nodes', (req, res) => {
+router.get('/node/:nodeId/details', async (req, res) => {
   try {
-    const nodes = opcuaClient.getRegisteredNodes();
-    res.json({
-      success: true,
-      nodes: nodes,
-      count: nodes.length
-    });
+    const result = await getClient(req).getNodeDetails(req.params.nodeId);
+    res.json(result);
   } catch (error) {
-    logger.error('Get registered nodes endpoint error:', error);
-    res.status(500).json({
+    logger.error('Node details endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message || 'Failed to read node details'
     });
   }
 });
 
 /**
- * POST /api/opcua/subscribe-registered
- * Subscribe to a registered node for real-time updates
+ * POST /api/opcua/call
+ * Call a method on an object
  */
-router.post('/subscribe-registered', async (req, res) => {
+router.post('/call', async (req, res) => {
   try {
-    const { registeredId, interval } = req.body;
+    const { objectId, methodId, inputArguments } = req.body;
 
-    if (!registeredId) {
+    if (!objectId || !methodId) {
       return res.status(400).json({
         success: false,
-        error: 'registeredId is required'
+        error: 'objectId and methodId are required'
+      });
+    }
+
+    if (inputArguments !== undefined && (inputArguments === null || typeof inputArguments !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: 'inputArguments must be an array or an object keyed by argument name'
       });
     }
 
-    const result = await opcuaClient.subscribeRegisteredNode(registeredId, interval || 1000);
+    const result = await getClient(req).callMethod(objectId, methodId, inputArguments || []);
     res.json(result);
   } catch (error) {
-    logger.error('Subscribe registered node endpoint error:', error);
-    res.status(500).json({
+    logger.error('Call endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to create subscription'
+      error: error.message || 'Failed to call method'
     });
   }
 });
 
 /**
- * GET /api/opcua/subscription-value/:subscriptionId
- * Get latest value from a subscription
+ * GET /api/opcua/method/:methodId/signature
+ * Describe the input and output arguments of a method (methodId URL-encoded)
  */
-router.get('/subscription-value/:subscriptionId', (req, res) => {
+router.get('/method/:methodId/signature', async (req, res) => {
   try {
-    const { subscriptionId } = req.params;
-    const result = opcuaClient.getSubscriptionValue(subscriptionId);
+    const result = await getClient(req).describeMethod(req.params.methodId);
     res.json(result);
   } catch (error) {
-    logger.error('Get subscription value endpoint error:', error);
-    res.status(500).json({
+    logger.error('Method signature endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message || 'Failed to read method signature'
     });
   }
 });
 
 /**
- * GET /api/opcua/active-subscriptions
- * Get list of all active subscriptions
+ * GET /api/opcua/namespaces
+ * NamespaceArray of the server (index -> namespace URI)
  */
-router.get('/active-subscriptions', (req, res) => {
+router.get('/namespaces', (req, res) => {
   try {
-    const subscriptions = opcuaClient.getActiveSubscriptions();
-    res.json({
-      success: true,
-      subscriptions: subscriptions,
-      count: subscriptions.length
+    const result = getClient(req).getNamespaces();
+    res.json(result);
+  } catch (error) {
+    logger.error('Namespaces endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get namespaces'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/translate
+ * Translate browse paths to nodeIds (TranslateBrowsePathsToNodeIds), one result per path
+ */
+router.post('/translate', async (req, res) => {
+  try {
+    const { paths, startingNode, namespaceUri } = req.body;
+
+    if (!Array.isArray(paths) || paths.length === 0 || paths.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'paths must be an array of 1 to 1000 browse paths'
+      });
+    }
+
+    if ((startingNode !== undefined && typeof startingNode !== 'string') || (namespaceUri !== undefined && typeof namespaceUri !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'startingNode and namespaceUri must be strings'
+      });
+    }
+
+    const result = await getClient(req).translateBrowsePaths(paths, { startingNode, namespaceUri });
+    res.json(result);
+  } catch (error) {
+    logger.error('Translate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to translate browse paths'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/search
+ * Search the address space index (substring, fuzzy or glob, filtered by nodeClass and dataType)
+ */
+router.post('/search', (req, res) => {
+  try {
+    const { searchTerm, mode, nodeClasses, dataTypes, limit = 100, includeChildren } = req.body;
+    const query = req.body.query || searchTerm;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'query (or searchTerm) is required'
+      });
+    }
+
+    if ((nodeClasses !== undefined && !Array.isArray(nodeClasses)) || (dataTypes !== undefined && !Array.isArray(dataTypes))) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeClasses and dataTypes must be arrays'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 1000'
+      });
+    }
+
+    const result = getClient(req).searchNodes(query, {
+      mode,
+      nodeClasses,
+      dataTypes,
+      limit,
+      includeChildren: includeChildren !== false
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error('Search endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to search nodes'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/index
+ * State of the address space index (building, ready, error) and its size
+ */
+router.get('/index', (req, res) => {
+  try {
+    const result = getClient(req).getIndexStatus();
+    res.json(result);
+  } catch (error) {
+    logger.error('Index status endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/index/refresh
+ * Crawl the address space again in the background
+ */
+router.post('/index/refresh', (req, res) => {
+  try {
+    const result = getClient(req).refreshIndex();
+    res.json(result);
+  } catch (error) {
+    logger.error('Index refresh endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to refresh index'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/subscribe
+ * Subscribe to variable changes
+ */
+router.post('/subscribe', async (req, res) => {
+  try {
+    const { interval, historize } = req.body;
+
+    if (!req.body.nodeId && !req.body.tag) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeId or tag is required'
+      });
+    }
+
+    const monitoring = parseMonitoringOptions(req.body);
+    const { client, nodeId, tag } = resolveNode(req);
+    // Before subscribing, so a disabled historian leaves no subscription behind
+    if (historize) {
+      historian.ensureEnabled();
+    }
+    const result = await client.subscribe(nodeId, interval || 1000, monitoring, tag ? tag.name : undefined);
+    if (historize) {
+      historian.setRecording(result.subscriptionId);
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Subscribe endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create subscription'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/unsubscribe
+ * Unsubscribe from variable changes
+ */
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { subscriptionId } = req.body;
+
+    if (!subscriptionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'subscriptionId is required'
+      });
+    }
+
+    const result = await getClient(req).unsubscribe(subscriptionId);
+    historian.forget(subscriptionId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Unsubscribe endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to unsubscribe'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/register
+ * Register a node for efficient access
+ */
+router.post('/register', async (req, res) => {
+  try {
+    if (!req.body.nodeId && !req.body.tag) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeId or tag is required'
+      });
+    }
+
+    const { client, nodeId, tag } = resolveNode(req);
+    const result = await client.registerNode(nodeId);
+    res.json(tag ? { ...result, tag: tag.name } : result);
+  } catch (error) {
+    logger.error('Register node endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to register node'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/unregister
+ * Unregister a node
+ */
+router.post('/unregister', async (req, res) => {
+  try {
+    const { registeredId } = req.body;
+
+    if (!registeredId) {
+      return res.status(400).json({
+        success: false,
+        error: 'registeredId is required'
+      });
+    }
+
+    const result = await getClient(req).unregisterNode(registeredId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Unregister node endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to unregister node'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/read-registered
+ * Read from a registered node
+ */
+router.post('/read-registered', async (req, res) => {
+  try {
+    const { indexRange } = req.body;
+
+    if (!req.body.registeredId && !req.body.tag) {
+      return res.status(400).json({
+        success: false,
+        error: 'registeredId or tag is required'
+      });
+    }
+
+    const { client, registeredId, tag } = resolveRegistered(req);
+    const result = await client.readRegisteredNode(registeredId, { indexRange });
+    res.json({ ...result, ...tagInfo(tag) });
+  } catch (error) {
+    logger.error('Read registered node endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to read registered node'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/write-registered
+ * Write to a registered node
+ */
+router.post('/write-registered', async (req, res) => {
+  try {
+    const { value, indexRange } = req.body;
+
+    logger.info('Write registered request:', { registeredId: req.body.registeredId, tag: req.body.tag, value });
+
+    if ((!req.body.registeredId && !req.body.tag) || value === undefined || value === null) {
+      logger.error('Missing required fields:', { registeredId: req.body.registeredId, tag: req.body.tag, value });
+      return res.status(400).json({
+        success: false,
+        error: 'registeredId (or tag) and value are required'
+      });
+    }
+
+    const { client, registeredId, tag } = resolveRegistered(req);
+    if (tag) {
+      tagCatalog.assertWritable(tag);
+    }
+    const result = await client.writeRegisteredNode(registeredId, value, { indexRange });
+    res.json(tag ? { ...result, tag: tag.name } : result);
+  } catch (error) {
+    logger.error('Write registered node endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to write to registered node'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/registered-nodes
+ * Get list of all registered nodes
+ */
+router.get('/registered-nodes', (req, res) => {
+  try {
+    const nodes = getClient(req).getRegisteredNodes();
+    res.json({
+      success: true,
+      nodes: nodes,
+      count: nodes.length
+    });
+  } catch (error) {
+    logger.error('Get registered nodes endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/subscribe-registered
+ * Subscribe to a registered node for real-time updates
+ */
+router.post('/subscribe-registered', async (req, res) => {
+  try {
+    const { interval, historize } = req.body;
+
+    if (!req.body.registeredId && !req.body.tag) {
+      return res.status(400).json({
+        success: false,
+        error: 'registeredId or tag is required'
+      });
+    }
+
+    const monitoring = parseMonitoringOptions(req.body);
+    const { client, registeredId, tag } = resolveRegistered(req);
+    // Before subscribing, so a disabled historian leaves no subscription behind
+    if (historize) {
+      historian.ensureEnabled();
+    }
+    const result = await client.subscribeRegisteredNode(registeredId, interval || 1000, monitoring, tag ? tag.name : undefined);
+    if (historize) {
+      historian.setRecording(result.subscriptionId);
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Subscribe registered node endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create subscription'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/events/subscribe
+ * Subscribe to events / alarms of a notifier (Server object by default)
+ */
+router.post('/events/subscribe', async (req, res) => {
+  try {
+    const { notifierId, fields, eventTypes, minSeverity, where, interval } = req.body;
+
+    for (const [name, value] of Object.entries({ fields, eventTypes, where })) {
+      if (value !== undefined && !Array.isArray(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be an array`
+        });
+      }
+    }
+
+    const result = await getClient(req).subscribeEvents({ notifierId, fields, eventTypes, minSeverity, where, interval });
+    res.json(result);
+  } catch (error) {
+    logger.error('Subscribe events endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create event subscription'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/alarms
+ * Active alarm list (retained conditions of the event subscriptions)
+ */
+router.get('/alarms', (req, res) => {
+  try {
+    const result = getClient(req).getAlarms();
+    res.json(result);
+  } catch (error) {
+    logger.error('Alarms endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/alarms/acknowledge | confirm | comment
+ * Call the Acknowledge, Confirm or AddComment method of a condition
+ */
+router.post('/alarms/:action(acknowledge|confirm|comment)', async (req, res) => {
+  try {
+    const { conditionId, eventId, comment } = req.body;
+
+    if (!conditionId || typeof conditionId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'conditionId is required'
+      });
+    }
+
+    if (req.params.action === 'comment' && !comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'comment is required'
+      });
+    }
+
+    const result = await getClient(req).callConditionMethod(req.params.action, conditionId, eventId, comment);
+    res.json(result);
+  } catch (error) {
+    logger.error('Alarm action endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || `Failed to ${req.params.action} alarm`
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/subscription-value/:subscriptionId
+ * Get latest value from a subscription
+ */
+router.get('/subscription-value/:subscriptionId', (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    const result = getClient(req).getSubscriptionValue(subscriptionId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Get subscription value endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/active-subscriptions
+ * Get list of all active subscriptions
+ */
+router.get('/active-subscriptions', (req, res) => {
+  try {
+    const subscriptions = getClient(req).getActiveSubscriptions();
+    res.json({
+      success: true,
+      subscriptions: subscriptions,
+      count: subscriptions.length
     });
   } catch (error) {
     logger.error('Get active subscriptions endpoint error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
+/**
+ * POST /api/opcua/subscriptions
+ * Create one subscription monitoring many nodes
+ */
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const { publishingInterval, publishingEnabled, bufferSize, historize } = req.body;
+    const items = parseSubscriptionItems(req.body);
+
+    if (!items) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeIds, tags or items ([{ nodeId } | { registeredId } | { tag }]) is required'
+      });
+    }
+
+    if (!isValidBufferSize(bufferSize)) {
+      return res.status(400).json({
+        success: false,
+        error: 'bufferSize must be an integer between 1 and 100000'
+      });
+    }
+
+    const monitoring = parseMonitoringOptions(req.body);
+    const { client } = resolveSubscriptionItems(req, items);
+    // Before subscribing, so a disabled historian leaves no subscription behind
+    if (historize) {
+      historian.ensureEnabled();
+    }
+    const result = await client.createSubscription(items, { publishingInterval, publishingEnabled, bufferSize, monitoring });
+    if (historize) {
+      historian.setRecording(result.subscriptionId);
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Create subscription endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create subscription'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/subscriptions/:subscriptionId/items
+ * Add monitored items to a multi-item subscription
+ */
+router.post('/subscriptions/:subscriptionId/items', async (req, res) => {
+  try {
+    const items = parseSubscriptionItems(req.body);
+
+    if (!items) {
+      return res.status(400).json({
+        success: false,
+        error: 'nodeIds, tags or items ([{ nodeId } | { registeredId } | { tag }]) is required'
+      });
+    }
+
+    const monitoring = parseMonitoringOptions(req.body);
+    // The subscription belongs to the requested connection, tags must be on it
+    const { client } = resolveSubscriptionItems(req, items, true);
+    const result = await client.addSubscriptionItems(req.params.subscriptionId, items, monitoring);
+    res.json(result);
+  } catch (error) {
+    logger.error('Add subscription items endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to add items'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/subscriptions/:subscriptionId/items/remove
+ * Remove monitored items from a multi-item subscription
+ */
+router.post('/subscriptions/:subscriptionId/items/remove', async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'itemIds array is required'
+      });
+    }
+
+    const result = await getClient(req).removeSubscriptionItems(req.params.subscriptionId, itemIds);
+    res.json(result);
+  } catch (error) {
+    logger.error('Remove subscription items endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to remove items'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/subscriptions/:subscriptionId/settings
+ * Change the publishing interval and/or enable or disable publishing
+ */
+router.post('/subscriptions/:subscriptionId/settings', async (req, res) => {
+  try {
+    const { publishingInterval, publishingEnabled, bufferSize } = req.body;
+
+    if (publishingInterval === undefined && publishingEnabled === undefined && bufferSize === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'publishingInterval, publishingEnabled or bufferSize is required'
+      });
+    }
+
+    if (publishingInterval !== undefined && (typeof publishingInterval !== 'number' || publishingInterval <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'publishingInterval must be a positive number (ms)'
+      });
+    }
+
+    if (publishingEnabled !== undefined && typeof publishingEnabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'publishingEnabled must be a boolean'
+      });
+    }
+
+    if (!isValidBufferSize(bufferSize)) {
+      return res.status(400).json({
+        success: false,
+        error: 'bufferSize must be an integer between 1 and 100000'
+      });
+    }
+
+    const result = await getClient(req).modifySubscription(req.params.subscriptionId, { publishingInterval, publishingEnabled, bufferSize });
+    res.json(result);
+  } catch (error) {
+    logger.error('Modify subscription endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to modify subscription'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/subscriptions/:subscriptionId/values
+ * Latest value of every item of a subscription
+ */
+router.get('/subscriptions/:subscriptionId/values', (req, res) => {
+  try {
+    const result = getClient(req).getSubscriptionValues(req.params.subscriptionId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Get subscription values endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/subscriptions/:subscriptionId/changes?after=42&limit=1000
+ * Buffered changes after a sequence number (all buffered changes without `after`)
+ */
+router.get('/subscriptions/:subscriptionId/changes', (req, res) => {
+  try {
+    const after = req.query.after !== undefined ? Number(req.query.after) : undefined;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 1000;
+
+    if (after !== undefined && (!Number.isInteger(after) || after < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'after must be a sequence number >= 0'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 10000'
+      });
+    }
+
+    const result = getClient(req).getSubscriptionChanges(req.params.subscriptionId, after, limit);
+    res.json(result);
+  } catch (error) {
+    logger.error('Get subscription changes endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+/**
+ * GET /api/opcua/historian
+ * Historian configuration and nodes with stored values
+ */
+router.get('/historian', async (req, res) => {
+  try {
+    const result = await historian.getInfo();
+    res.json(result);
+  } catch (error) {
+    logger.error('Historian info endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get historian info'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/history/record
+ * Start or stop storing the changes of a subscription in the historian
+ */
+router.post('/history/record', (req, res) => {
+  try {
+    const { subscriptionId, enabled } = req.body;
+
+    if (!subscriptionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'subscriptionId is required'
+      });
+    }
+
+    const result = historian.setRecording(subscriptionId, enabled !== false);
+    res.json(result);
+  } catch (error) {
+    logger.error('History record endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to change recording'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/history/:nodeId?connection=&from=&to=&aggregate=&interval=
+ * Query values stored by the historian (nodeId URL-encoded, connection name or endpoint)
+ */
+router.get('/history/:nodeId', async (req, res) => {
+  try {
+    const { connection, from, to, aggregate, interval } = req.query;
+    const result = await historian.query(req.params.nodeId, { connection, from, to, aggregate, interval });
+    res.json(result);
+  } catch (error) {
+    logger.error('History query endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to query history'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/stream?subscriptionIds=a,b
+ * Stream subscription changes as Server-Sent Events
+ */
+router.get('/stream', (req, res) => {
+  const subscriptionIds = String(req.query.subscriptionIds || '').split(',').map(id => id.trim()).filter(id => id);
+
+  if (subscriptionIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'subscriptionIds is required'
+    });
+  }
+
+  const unknown = subscriptionIds.filter(id => !connections.hasSubscription(id));
+  if (unknown.length > 0) {
+    return res.status(404).json({
+      success: false,
+      error: `Subscription not found: ${unknown.join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const attached = new Set(subscriptionIds);
+  const onChange = (change) => {
+    if (attached.has(change.subscriptionId)) {
+      res.write(`event: change\ndata: ${JSON.stringify(change)}\n\n`);
+    }
+  };
+  const onEvent = (event) => {
+    if (attached.has(event.subscriptionId)) {
+      res.write(`event: event\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+  const onStatus = (status) => {
+    if (attached.has(status.subscriptionId)) {
+      res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+    }
+  };
+  connections.on('change', onChange);
+  connections.on('event', onEvent);
+  connections.on('status', onStatus);
+
+  // Comment line keeps idle proxies from closing the stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  res.write(`event: attached\ndata: ${JSON.stringify({ subscriptionIds })}\n\n`);
+  logger.info(`SSE client attached to ${subscriptionIds.join(', ')}`);
+
+  // res, not req: the request closes once its body is read, the response when the client goes away
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    connections.off('change', onChange);
+    connections.off('event', onEvent);
+    connections.off('status', onStatus);
+    logger.info('SSE client disconnected');
+  });
+});
+
 module.exports = router;
\ No newline at end of file
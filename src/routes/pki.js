@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const pki = require('../opcua/pki');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/opcua/pki/client-certificate
+ * Client application certificate (?format=pem downloads the PEM file for the PLC trust list)
+ */
+router.get('/client-certificate', async (req, res) => {
+  try {
+    const result = await pki.getClientCertificate();
+
+    if (req.query.format === 'pem') {
+      res.set('Content-Type', 'application/x-pem-file');
+      res.set('Content-Disposition', 'attachment; filename="client_certificate.pem"');
+      return res.send(result.pem);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Get client certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to read client certificate'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/pki/client-certificate
+ * Create a new self-signed client application certificate
+ */
+router.post('/client-certificate', async (req, res) => {
+  try {
+    const { applicationUri, subject, dns, ip, validityDays } = req.body;
+
+    if ((dns !== undefined && !Array.isArray(dns)) || (ip !== undefined && !Array.isArray(ip))) {
+      return res.status(400).json({
+        success: false,
+        error: 'dns and ip must be arrays'
+      });
+    }
+
+    const result = await pki.createClientCertificate({ applicationUri, subject, dns, ip, validityDays });
+    res.json(result);
+  } catch (error) {
+    logger.error('Create client certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create client certificate'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/pki/client-certificate/import
+ * Import a client application certificate (PEM or base64 DER) and optionally its private key (PEM)
+ */
+router.post('/client-certificate/import', async (req, res) => {
+  try {
+    const { certificate, privateKey } = req.body;
+
+    if (!certificate) {
+      return res.status(400).json({
+        success: false,
+        error: 'certificate is required'
+      });
+    }
+
+    const result = await pki.importClientCertificate(certificate, privateKey);
+    res.json(result);
+  } catch (error) {
+    logger.error('Import client certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to import client certificate'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/pki/certificates
+ * List trusted, rejected and issuer (CA) certificates
+ */
+router.get('/certificates', async (req, res) => {
+  try {
+    const result = await pki.listCertificates();
+    res.json(result);
+  } catch (error) {
+    logger.error('List certificates endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to list certificates'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/pki/certificates
+ * Add a server or CA certificate (status: trusted, rejected or issuers)
+ */
+router.post('/certificates', async (req, res) => {
+  try {
+    const { certificate, status } = req.body;
+
+    if (!certificate) {
+      return res.status(400).json({
+        success: false,
+        error: 'certificate is required'
+      });
+    }
+
+    const result = await pki.addCertificate(certificate, status || 'trusted');
+    res.json(result);
+  } catch (error) {
+    logger.error('Add certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to add certificate'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/pki/certificates/:thumbprint/trust | reject
+ * Move a certificate between the trusted and rejected lists
+ */
+router.post('/certificates/:thumbprint/:action(trust|reject)', async (req, res) => {
+  try {
+    const status = req.params.action === 'trust' ? 'trusted' : 'rejected';
+    const result = await pki.moveCertificate(req.params.thumbprint, status);
+    res.json(result);
+  } catch (error) {
+    logger.error('Move certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to move certificate'
+    });
+  }
+});
+
+/**
+ * DELETE /api/opcua/pki/certificates/:thumbprint
+ * Remove a certificate from the PKI
+ */
+router.delete('/certificates/:thumbprint', async (req, res) => {
+  try {
+    const result = await pki.deleteCertificate(req.params.thumbprint);
+    res.json(result);
+  } catch (error) {
+    logger.error('Delete certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete certificate'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/pki/crls
+ * List certificate revocation lists
+ */
+router.get('/crls', async (req, res) => {
+  try {
+    const result = await pki.listCrls();
+    res.json(result);
+  } catch (error) {
+    logger.error('List CRLs endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to list CRLs'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/pki/crls
+ * Add a CRL (PEM or base64 DER) to the trusted or issuers folder
+ */
+router.post('/crls', async (req, res) => {
+  try {
+    const { crl, location } = req.body;
+
+    if (!crl) {
+      return res.status(400).json({
+        success: false,
+        error: 'crl is required'
+      });
+    }
+
+    const result = await pki.addCrl(crl, location || 'issuers');
+    res.json(result);
+  } catch (error) {
+    logger.error('Add CRL endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to add CRL'
+    });
+  }
+});
+
+/**
+ * DELETE /api/opcua/pki/crls/:location/:fileName
+ * Remove a CRL
+ */
+router.delete('/crls/:location/:fileName', async (req, res) => {
+  try {
+    const result = await pki.deleteCrl(req.params.fileName, req.params.location);
+    res.json(result);
+  } catch (error) {
+    logger.error('Delete CRL endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete CRL'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/pki/users
+ * List the user certificates of the key store (authType "Certificate")
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const result = await pki.listUserCertificates();
+    res.json(result);
+  } catch (error) {
+    logger.error('List user certificates endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to list user certificates'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/pki/users
+ * Store a user certificate and private key, referenced by id in /connect (userCertificateId)
+ * An existing id is replaced only with overwrite: true
+ */
+router.post('/users', async (req, res) => {
+  try {
+    const { id, certificate, privateKey, overwrite = false } = req.body;
+
+    if (!certificate || !privateKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'certificate and privateKey are required'
+      });
+    }
+
+    if (typeof overwrite !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'overwrite must be a boolean'
+      });
+    }
+
+    const result = await pki.importUserCertificate(id, certificate, privateKey, overwrite);
+    res.json(result);
+  } catch (error) {
+    logger.error('Import user certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to import user certificate'
+    });
+  }
+});
+
+/**
+ * DELETE /api/opcua/pki/users/:id
+ * Remove a user certificate from the key store
+ */
+router.delete('/users/:id', async (req, res) => {
+  try {
+    const result = await pki.deleteUserCertificate(req.params.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('Delete user certificate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete user certificate'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const connections = require('../opcua/connections');
+const tagCatalog = require('../tags/catalog');
+const { parseFormat, toCSV, parseCSV, exportCatalog, importTags } = require('../tags/transfer');
+const logger = require('../utils/logger');
+
+/**
+ * Connection of a tag: its own connection, else the requested one (connectionId in body or query)
+ */
+const tagClient = (req) => (tag) => tag.connection
+  ? connections.find(tag.connection)
+  : connections.get(req.body.connectionId || req.query.connectionId);
+
+/**
+ * GET /api/opcua/tags?connection=&search=
+ * List the tags of the catalog
+ */
+router.get('/', (req, res) => {
+  try {
+    const { connection, search } = req.query;
+    const tags = tagCatalog.list({ connection, search });
+    res.json({
+      success: true,
+      tags: tags,
+      count: tags.length
+    });
+  } catch (error) {
+    logger.error('List tags endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to list tags'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/tags/export?format=json|csv&connection=&search=
+ * Export the catalog with the browse path and access level of the tag nodes (filters as for the list)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { format, connection, search } = req.query;
+    parseFormat(format);
+    const { rows } = await exportCatalog(tagCatalog.list({ connection, search }), tagClient(req));
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="tags.csv"');
+      return res.send(toCSV(rows));
+    }
+
+    res.json({
+      success: true,
+      tags: rows,
+      count: rows.length
+    });
+  } catch (error) {
+    logger.error('Export tags endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to export tags'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/tags/import
+ * Import tags from CSV (text/csv body, options in the query) or JSON ({ tags: [...] })
+ * Each row is validated and its node looked up on the connected server; options: overwrite, register, dryRun
+ */
+router.post('/import', express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  try {
+    const fromCSV = typeof req.body === 'string';
+    const options = fromCSV ? req.query : req.body;
+    const flags = {};
+
+    for (const flag of ['overwrite', 'register', 'dryRun']) {
+      let value = options[flag];
+      if (fromCSV && ['true', 'false'].includes(value)) {
+        value = value === 'true';
+      }
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: `${flag} must be a boolean`
+        });
+      }
+      flags[flag] = value === true;
+    }
+
+    const rows = fromCSV ? parseCSV(req.body) : req.body.tags;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: fromCSV ? 'CSV contains no rows' : 'tags must be a non-empty array'
+      });
+    }
+
+    if (rows.length > 100000) {
+      return res.status(400).json({
+        success: false,
+        error: 'At most 100000 tags can be imported at once'
+      });
+    }
+
+    const result = await importTags(rows, { ...flags, fromCSV, resolveClient: tagClient(req) });
+    res.json(result);
+  } catch (error) {
+    logger.error('Import tags endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to import tags'
+    });
+  }
+});
+
+/**
+ * GET /api/opcua/tags/:name
+ * Get a tag by name or alias
+ */
+router.get('/:name', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tag: tagCatalog.get(req.params.name)
+    });
+  } catch (error) {
+    logger.error('Get tag endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get tag'
+    });
+  }
+});
+
+/**
+ * POST /api/opcua/tags
+ * Create a tag
+ */
+router.post('/', (req, res) => {
+  try {
+    const tag = tagCatalog.create(req.body);
+    res.json({
+      success: true,
+      tag: tag
+    });
+  } catch (error) {
+    logger.error('Create tag endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create tag'
+    });
+  }
+});
+
+/**
+ * PUT /api/opcua/tags/:name
+ * Update a tag, fields not given keep their value
+ */
+router.put('/:name', (req, res) => {
+  try {
+    const tag = tagCatalog.update(req.params.name, req.body);
+    res.json({
+      success: true,
+      tag: tag
+    });
+  } catch (error) {
+    logger.error('Update tag endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update tag'
+    });
+  }
+});
+
+/**
+ * DELETE /api/opcua/tags/:name
+ * Delete a tag
+ */
+router.delete('/:name', (req, res) => {
+  try {
+    const tag = tagCatalog.remove(req.params.name);
+    res.json({
+      success: true,
+      tag: tag,
+      message: 'Tag deleted'
+    });
+  } catch (error) {
+    logger.error('Delete tag endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete tag'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const opcuaRoutes = require('./routes/opcua');
+const pkiRoutes = require('./routes/pki');
+const tagRoutes = require('./routes/tags');
+const authRoutes = require('./routes/auth');
+const connections = require('./opcua/connections');
+const historian = require('./historian/historian');
+const tagCatalog = require('./tags/catalog');
+const auth = require('./auth/auth');
+const { authorize } = require('./auth/middleware');
+const { attachWebSocketServer } = require('./realtime/websocket');
+const { ApiError } = require('./utils/errors');
 const logger = require('./utils/logger');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// CORS configuration
+// CORS configuration (ALLOWED_ORIGINS=* allows every origin)
 const allowedOrigins = process.env.ALLOWED_ORIGINS 
-  ? process.env.ALLOWED_ORIGINS.split(',')
+  ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
   : [
       'http://localhost:8081', 
       'http://localhost:19000', 
@@ -19,59 +29,59 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
       'http://opcread.ozkanerozcan.com'
     ];
 
-// Middleware - Enhanced CORS with function for dynamic origin checking
-app.use(cors({
+// CORS_ALLOW_LOCALHOST=true allows local origins on any port (Expo and web dev servers pick their own),
+// only while ALLOWED_ORIGINS is not set
+const isLocalOrigin = (origin) => !process.env.ALLOWED_ORIGINS && process.env.CORS_ALLOW_LOCALHOST === 'true' &&
+  /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+
+const corsOptions = {
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps, curl, postman)
     if (!origin) return callback(null, true);
     
-    // Check if origin is in allowed list or matches pattern
-    if (allowedOrigins.indexOf(origin) !== -1 || 
-        origin.includes('localhost') || 
-        origin.includes('ozkanerozcan.com')) {
-      logger.info(`CORS allowed origin: ${origin}`);
-      callback(null, true);
-    } else {
-      logger.warn(`CORS blocked origin: ${origin}`);
-      callback(null, true); // Still allow for development - remove in production
+    if (allowedOrigins.includes('*') || allowedOrigins.includes(origin) || isLocalOrigin(origin)) {
+      return callback(null, true);
     }
+    logger.warn(`CORS blocked origin: ${origin}`);
+    callback(new ApiError(403, `Origin not allowed: ${origin}`));
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept'],
   credentials: true,
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Content-Disposition', 'X-Truncated'],
   maxAge: 86400, // 24 hours
   optionsSuccessStatus: 200,
   preflightContinue: false
-}));
+};
 
-// Additional CORS headers for extra compatibility
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-  if (origin && (allowedOrigins.indexOf(origin) !== -1 || origin.includes('ozkanerozcan.com'))) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept');
-  }
-  next();
-});
-app.use(express.json());
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '10mb' })); // Tag imports carry thousands of rows
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging
+// Request logging, passwords, private keys and tokens left out
+const SECRET_FIELDS = ['password', 'userPrivateKey', 'privateKey', 'access_token'];
+const redact = (data) => data && typeof data === 'object' && !Array.isArray(data)
+  ? Object.fromEntries(Object.entries(data).map(([key, value]) => [key, SECRET_FIELDS.includes(key) ? '***' : value]))
+  : data;
+
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
-    body: req.body,
-    query: req.query
+    body: redact(req.body),
+    query: redact(req.query)
   });
   next();
 });
 
 // Handle preflight for all routes
-app.options('*', cors());
+app.options('*', cors(corsOptions));
+
+// Authentication and role permissions (AUTH_ENABLED)
+app.use('/api', authorize);
 
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/opcua/pki', pkiRoutes);
+app.use('/api/opcua/tags', tagRoutes);
 app.use('/api/opcua', opcuaRoutes);
 
 // Health check
@@ -105,14 +115,35 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      login: 'POST /api/auth/login',
+      users: 'GET /api/auth/users',
+      apiKeys: 'GET /api/auth/keys',
+      discover: 'POST /api/opcua/discover',
       connect: 'POST /api/opcua/connect',
       disconnect: 'POST /api/opcua/disconnect',
       status: 'GET /api/opcua/status',
+      connections: 'GET /api/opcua/connections',
       read: 'POST /api/opcua/read',
       write: 'POST /api/opcua/write',
+      historyRead: 'POST /api/opcua/history-read',
       browse: 'POST /api/opcua/browse',
+      browseTree: 'POST /api/opcua/browse/tree',
+      browseExport: 'POST /api/opcua/browse/export',
+      search: 'POST /api/opcua/search',
+      index: 'GET /api/opcua/index',
+      translate: 'POST /api/opcua/translate',
+      namespaces: 'GET /api/opcua/namespaces',
+      tags: 'GET /api/opcua/tags',
+      tagsExport: 'GET /api/opcua/tags/export',
+      tagsImport: 'POST /api/opcua/tags/import',
+      call: 'POST /api/opcua/call',
       subscribe: 'POST /api/opcua/subscribe',
-      unsubscribe: 'POST /api/opcua/unsubscribe'
+      unsubscribe: 'POST /api/opcua/unsubscribe',
+      subscriptions: 'POST /api/opcua/subscriptions',
+      pki: 'GET /api/opcua/pki/certificates',
+      history: 'GET /api/opcua/history/:nodeId?connection=&from=&to=&aggregate=',
+      stream: 'GET /api/opcua/stream?subscriptionIds=... (Server-Sent Events)',
+      websocket: 'WS /api/opcua/ws'
     }
   });
 });
@@ -134,20 +165,36 @@ app.use((req, res) => {
   });
 });
 
+// Users, API keys and roles (AUTH_FILE), an invalid file stops the start
+auth.load();
+
+// Tag catalog (TAGS_FILE), an invalid file stops the start instead of being overwritten later
+tagCatalog.load();
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`OPC UA API Server running on port ${PORT}`);
   logger.info(`Health check: http://0.0.0.0:${PORT}/health`);
   logger.info(`API documentation: http://0.0.0.0:${PORT}/`);
 });
 
+// Real-time subscription streaming
+attachWebSocketServer(server);
+
+// Optional embedded historian (HISTORIAN_ENABLED=true)
+historian.start();
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  await connections.disconnectAll();
+  await historian.stop();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT signal received: closing HTTP server');
+  await connections.disconnectAll();
+  await historian.stop();
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { DataType, resolveNodeId } = require('node-opcua');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,199}$/;
+
+// Taken by GET /tags/export and POST /tags/import, a tag of this name could not be addressed
+const RESERVED_NAMES = ['export', 'import'];
+
+/**
+ * Check the syntax of a nodeId, expanded node ids ("nsu=<namespace URI>;...") included
+ */
+function isValidNodeId(nodeId) {
+  if (typeof nodeId !== 'string' || nodeId === '') {
+    return false;
+  }
+  try {
+    resolveNodeId(nodeId.startsWith('nsu=') ? nodeId.slice(nodeId.indexOf(';') + 1) : nodeId);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate a tag definition
+ * name, nodeId (required), aliases, connection (connection name, endpoint or connectionId), dataType (built-in type name),
+ * description, unit, writable (default false)
+ */
+function parseTag(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ApiError(400, 'Tag must be an object');
+  }
+  const { name, aliases = [], connection, nodeId, dataType, description, unit, writable = false } = data;
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new ApiError(400, 'name must be 1-200 characters of letters, digits, _ . - (not starting with . or -)');
+  }
+  if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !NAME_PATTERN.test(alias))) {
+    throw new ApiError(400, `aliases of ${name} must be an array of names (letters, digits, _ . -)`);
+  }
+  const reserved = [name, ...aliases].find(value => RESERVED_NAMES.includes(value));
+  if (reserved) {
+    throw new ApiError(400, `${reserved} is reserved and cannot be used as tag name or alias (${RESERVED_NAMES.join(', ')})`);
+  }
+  if (!isValidNodeId(nodeId)) {
+    throw new ApiError(400, `nodeId of ${name} is missing or invalid`);
+  }
+  if (connection !== undefined && connection !== null && (typeof connection !== 'string' || connection === '')) {
+    throw new ApiError(400, `connection of ${name} must be a connection name or endpoint`);
+  }
+  if (dataType !== undefined && dataType !== null && typeof DataType[dataType] !== 'number') {
+    throw new ApiError(400, `dataType of ${name} must be a built-in data type name (e.g. Double, Int16, String)`);
+  }
+  for (const [field, value] of Object.entries({ description, unit })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new ApiError(400, `${field} of ${name} must be a string`);
+    }
+  }
+  if (typeof writable !== 'boolean') {
+    throw new ApiError(400, `writable of ${name} must be a boolean`);
+  }
+
+  return {
+    name,
+    aliases: [...new Set(aliases)].filter(alias => alias !== name),
+    connection: connection || null,
+    nodeId,
+    dataType: dataType || null,
+    description: description || null,
+    unit: unit || null,
+    writable
+  };
+}
+
+/**
+ * Tag catalog
+ *
+ * Maps friendly tag names (and aliases) to a connection and nodeId with type metadata.
+ * Stored as JSON in TAGS_FILE ({ "tags": [...] }), rewritten on every change.
+ */
+class TagCatalog {
+  constructor() {
+    this.tags = new Map(); // Map<name, tag>
+    this.names = new Map(); // Map<name | alias, name>
+    this.file = null;
+  }
+
+  /**
+   * Read the tag file (missing file = empty catalog)
+   * Throws on an invalid file, so a typo is not overwritten by the next change
+   */
+  load() {
+    this.file = path.resolve(process.env.TAGS_FILE || 'data/tags.json');
+    this.tags = new Map();
+    this.names = new Map();
+
+    if (!fs.existsSync(this.file)) {
+      logger.info(`Tag catalog: ${this.file} does not exist yet, starting empty`);
+      return;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Cannot read tag catalog ${this.file}: ${err.message}`);
+    }
+    if (!content || !Array.isArray(content.tags)) {
+      throw new Error(`Cannot read tag catalog ${this.file}: expected { "tags": [...] }`);
+    }
+
+    try {
+      content.tags.forEach(data => this.add(parseTag(data)));
+    } catch (err) {
+      throw new Error(`Cannot read tag catalog ${this.file}: ${err.message}`);
+    }
+    logger.info(`Tag catalog: ${this.tags.size} tag(s) loaded from ${this.file}`);
+  }
+
+  /**
+   * Write the catalog, through a temporary file so a crash never leaves half a file
+   */
+  save() {
+    const tags = Array.from(this.tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(`${this.file}.tmp`, `${JSON.stringify({ tags }, null, 2)}\n`);
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * Throw when the name or an alias of a tag is taken
+   * With replace, the names of the tag it replaces (same name) are free
+   */
+  check(tag, replace = false) {
+    for (const name of [tag.name, ...tag.aliases]) {
+      const owner = this.names.get(name);
+      if (owner && !(replace && owner === tag.name)) {
+        throw new ApiError(409, owner === name ? `Tag already exists: ${name}` : `${name} is already an alias of tag ${owner}`);
+      }
+    }
+  }
+
+  add(tag) {
+    this.check(tag);
+    this.tags.set(tag.name, tag);
+    [tag.name, ...tag.aliases].forEach(name => this.names.set(name, tag.name));
+  }
+
+  delete(tag) {
+    this.tags.delete(tag.name);
+    [tag.name, ...tag.aliases].forEach(name => this.names.delete(name));
+  }
+
+  /**
+   * Validate a tag definition (see parseTag)
+   */
+  parse(data) {
+    return parseTag(data);
+  }
+
+  /**
+   * Whether a name is reserved for the routes below /tags
+   */
+  isReserved(name) {
+    return RESERVED_NAMES.includes(name);
+  }
+
+  /**
+   * Add a validated tag, or replace the tag of the same name when overwrite is set, without saving
+   * Returns 'created' or 'updated'
+   */
+  put(tag, overwrite = false) {
+    const existing = this.tags.get(tag.name);
+    this.check(tag, overwrite);
+    if (existing) {
+      this.delete(existing);
+    }
+    this.add(tag);
+    return existing ? 'updated' : 'created';
+  }
+
+  /**
+   * Get a tag by name or alias
+   */
+  get(name) {
+    const tag = this.tags.get(this.names.get(name));
+    if (!tag) {
+      throw new ApiError(404, `Tag not found: ${name}`);
+    }
+    return tag;
+  }
+
+  /**
+   * List the tags, optionally of one connection or containing a text in name, aliases or description
+   */
+  list(options = {}) {
+    const { connection, search } = options;
+    const text = search ? search.toLowerCase() : null;
+
+    return Array.from(this.tags.values())
+      .filter(tag => !connection || tag.connection === connection)
+      .filter(tag => !text || [tag.name, ...tag.aliases, tag.description || ''].some(value => value.toLowerCase().includes(text)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  create(data) {
+    const tag = parseTag(data);
+    this.add(tag);
+    this.save();
+    logger.info(`Tag created: ${tag.name} -> ${tag.nodeId}`);
+    return tag;
+  }
+
+  /**
+   * Update a tag, fields not given keep their value (a new name renames the tag)
+   */
+  update(name, data) {
+    const existing = this.get(name);
+    const tag = parseTag({ ...existing, ...data });
+
+    this.delete(existing);
+    try {
+      this.add(tag);
+    } catch (err) {
+      this.add(existing);
+      throw err;
+    }
+    this.save();
+    logger.info(`Tag updated: ${existing.name}${tag.name !== existing.name ? ` -> ${tag.name}` : ''}`);
+    return tag;
+  }
+
+  remove(name) {
+    const tag = this.get(name);
+    this.delete(tag);
+    this.save();
+    logger.info(`Tag deleted: ${tag.name}`);
+    return tag;
+  }
+
+  /**
+   * Reject writes through a tag that is not marked writable
+   */
+  assertWritable(tag) {
+    if (!tag.writable) {
+      throw new ApiError(403, `Tag ${tag.name} is read-only`);
+    }
+  }
+}
+
+// Singleton instance
+const tagCatalog = new TagCatalog();
+
+module.exports = tagCatalog;
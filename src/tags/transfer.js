@@ -0,0 +1,397 @@
+const { resolveNodeId } = require('node-opcua');
+const tagCatalog = require('./catalog');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const COLUMNS = ['name', 'nodeId', 'browsePath', 'dataType', 'accessLevel', 'writable', 'description', 'unit', 'connection', 'aliases'];
+const TAG_FIELDS = ['name', 'aliases', 'connection', 'nodeId', 'dataType', 'description', 'unit', 'writable'];
+const FORMATS = ['json', 'csv'];
+
+// Cells a spreadsheet would run as a formula get a leading ' on export (also cells already starting with ' before
+// such a character, so the import can drop exactly one ' again)
+const FORMULA_CELL = /^'*[=+\-@\t\r]/;
+
+// Nodes per read request when checking nodes and access levels
+const READ_BATCH_SIZE = 1000;
+
+const OBJECTS_FOLDER = resolveNodeId('ObjectsFolder').toString();
+
+/**
+ * Check an export format (json or csv)
+ */
+function parseFormat(format = 'json') {
+  if (!FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Access level as text (ReadWrite, Read, Write or None), null when unknown
+ */
+function describeAccessLevel(accessLevel) {
+  if (typeof accessLevel !== 'number') {
+    return null;
+  }
+  const read = (accessLevel & 0x01) !== 0;
+  const write = (accessLevel & 0x02) !== 0;
+  return read && write ? 'ReadWrite' : read ? 'Read' : write ? 'Write' : 'None';
+}
+
+/**
+ * CSV (RFC 4180) of export rows, one column per COLUMNS entry, aliases separated by spaces
+ * Cells that would start a spreadsheet formula are prefixed with '
+ */
+function toCSV(rows) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(' ') : String(value);
+    if (FORMULA_CELL.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV (RFC 4180, header row first) into one object per row, empty fields are left out
+ * The ' that toCSV() puts before formula characters is removed
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ApiError(400, 'Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...lines] = records.filter(fields => fields.some(value => value.trim() !== ''));
+  if (!header || !header.map(column => column.trim()).includes('nodeId')) {
+    throw new ApiError(400, 'Invalid CSV: a header row with a nodeId column is required');
+  }
+
+  const columns = header.map(column => column.trim());
+  return lines.map(fields => {
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = (fields[i] || '').trim();
+      if (value !== '') {
+        row[column] = value.startsWith("'") && FORMULA_CELL.test(value.slice(1)) ? value.slice(1) : value;
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Tag definition of an import row: JSON rows are taken as they are,
+ * CSV rows get their writable flag and space separated aliases converted
+ */
+function rowToTag(row, fromCSV) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return row;
+  }
+  const data = {};
+  TAG_FIELDS.filter(field => row[field] !== undefined).forEach(field => { data[field] = row[field]; });
+  if (fromCSV) {
+    if (data.aliases !== undefined) {
+      data.aliases = data.aliases.split(/\s+/);
+    }
+    if (/^(true|false)$/i.test(data.writable)) {
+      data.writable = data.writable.toLowerCase() === 'true';
+    }
+  }
+  return data;
+}
+
+/**
+ * Read an attribute of many nodes in batches, one readMultiple() result per node
+ */
+async function readAttribute(client, nodeIds, attributeId) {
+  const results = [];
+  for (let i = 0; i < nodeIds.length; i += READ_BATCH_SIZE) {
+    const batch = nodeIds.slice(i, i + READ_BATCH_SIZE);
+    const result = await client.readMultiple(batch, batch.map(() => attributeId));
+    results.push(...result.results);
+  }
+  return results;
+}
+
+/**
+ * Export the variables below a node as tag rows
+ * browsePath runs from the Objects folder (from the exported node while the address space is not indexed),
+ * names are built from the browse names below the exported node
+ * Every node is walked for the paths, nodeClasses only decides whether the variables are exported
+ */
+async function exportTree(client, nodeId, options) {
+  const rootNodeId = resolveNodeId(client.toServerNodeId(nodeId)).toString();
+  const rootPath = rootNodeId === OBJECTS_FOLDER ? '' : client.index.browsePath(rootNodeId);
+  const exportVariables = !options.nodeClasses || options.nodeClasses.includes('Variable');
+  const paths = new Map(); // Map<nodeId, { browsePath, names }>
+  const variables = [];
+
+  const result = await client.browseTree(nodeId, { ...options, nodeClasses: null }, (node) => {
+    if (node.repeated) {
+      return;
+    }
+    const parent = paths.get(node.parentNodeId);
+    const entry = parent
+      ? { browsePath: parent.browsePath ? `${parent.browsePath}.${node.browseName}` : node.browseName, names: [...parent.names, node.browseName] }
+      : { browsePath: rootPath === null ? node.browseName : rootPath, names: [] };
+    paths.set(node.nodeId, entry);
+    if (node.nodeClass === 'Variable' && exportVariables) {
+      variables.push({ node, entry });
+    }
+  });
+
+  const accessLevels = await readAttribute(client, variables.map(({ node }) => node.nodeId), 'UserAccessLevel');
+  const connection = client.reference();
+  const names = new Set();
+
+  const rows = variables.map(({ node, entry }, i) => {
+    const baseName = (entry.names.length > 0 ? entry.names : [node.browseName])
+      .map(name => name.replace(/^\d+:/, ''))
+      .join('.')
+      .replace(/[^A-Za-z0-9_.-]/g, '_')
+      .replace(/^[.-]/, '_')
+      .slice(0, 190);
+    let name = baseName;
+    for (let n = 2; names.has(name) || tagCatalog.isReserved(name); n++) {
+      name = `${baseName}_${n}`;
+    }
+    names.add(name);
+
+    const accessLevel = accessLevels[i].success ? accessLevels[i].value : null;
+    return {
+      name,
+      nodeId: node.nodeId,
+      browsePath: entry.browsePath,
+      dataType: node.dataType ? node.dataType.builtInType || node.dataType.name : null,
+      accessLevel: describeAccessLevel(accessLevel),
+      writable: typeof accessLevel === 'number' && (accessLevel & 0x02) !== 0,
+      description: null,
+      unit: null,
+      connection,
+      aliases: []
+    };
+  });
+
+  logger.info(`Exported ${rows.length} variable(s) below ${nodeId}${result.truncated ? ' (truncated)' : ''}`);
+  return { rows, nodeCount: result.nodeCount, truncated: result.truncated };
+}
+
+/**
+ * Export catalog tags with the browse path (from the address space index) and access level of their node
+ * resolveClient(tag) returns the connection of a tag; tags of connections that are not open get null for both
+ */
+async function exportCatalog(tags, resolveClient) {
+  const rows = tags.map(tag => ({
+    name: tag.name,
+    nodeId: tag.nodeId,
+    browsePath: null,
+    dataType: tag.dataType,
+    accessLevel: null,
+    writable: tag.writable,
+    description: tag.description,
+    unit: tag.unit,
+    connection: tag.connection,
+    aliases: tag.aliases
+  }));
+
+  const groups = groupByClient(tags, resolveClient);
+  for (const [client, indexes] of groups) {
+    let accessLevels;
+    try {
+      accessLevels = await readAttribute(client, indexes.map(i => tags[i].nodeId), 'UserAccessLevel');
+    } catch (err) {
+      continue;
+    }
+    indexes.forEach((i, j) => {
+      rows[i].accessLevel = describeAccessLevel(accessLevels[j].success ? accessLevels[j].value : null);
+      try {
+        rows[i].browsePath = client.index.browsePath(resolveNodeId(client.toServerNodeId(tags[i].nodeId)).toString());
+      } catch (err) {
+        // Unknown namespace URI, the node is not on this server
+      }
+    });
+  }
+
+  return { rows };
+}
+
+/**
+ * Indexes of the tags per connection, tags whose connection cannot be resolved are left out
+ * (errors of them by index when given)
+ */
+function groupByClient(tags, resolveClient, errors = null) {
+  const groups = new Map(); // Map<client, index[]>
+  tags.forEach((tag, i) => {
+    if (!tag) {
+      return;
+    }
+    let client;
+    try {
+      client = resolveClient(tag);
+    } catch (err) {
+      if (errors) {
+        errors.set(i, err.message);
+      }
+      return;
+    }
+    if (!groups.has(client)) {
+      groups.set(client, []);
+    }
+    groups.get(client).push(i);
+  });
+  return groups;
+}
+
+/**
+ * Import tag rows into the catalog
+ *
+ * Every row is validated (definition, duplicates within the import, names taken in the catalog unless overwrite)
+ * and its node is looked up on the connected server; rows whose node does not exist are reported as missing.
+ * The valid rows are imported (nothing is changed with dryRun) and, with register, registered via registerNode().
+ * resolveClient(tag) returns the connection of a tag.
+ */
+async function importTags(rows, options) {
+  const { resolveClient, overwrite = false, register = false, dryRun = false, fromCSV = false } = options;
+
+  const results = rows.map((row, i) => ({ row: i + 1, name: row && row.name, nodeId: row && row.nodeId, status: 'pending' }));
+  const tags = rows.map(() => null);
+  const seen = new Map(); // Map<name | alias, row>
+
+  rows.forEach((row, i) => {
+    const result = results[i];
+    try {
+      const tag = tagCatalog.parse(rowToTag(row, fromCSV));
+      const duplicate = [tag.name, ...tag.aliases].find(name => seen.has(name));
+      if (duplicate) {
+        throw new ApiError(400, `${duplicate} is already used by row ${seen.get(duplicate)}`);
+      }
+      [tag.name, ...tag.aliases].forEach(name => seen.set(name, result.row));
+      tagCatalog.check(tag, overwrite);
+      tags[i] = tag;
+    } catch (err) {
+      Object.assign(result, { status: err.status === 409 ? 'conflict' : 'invalid', error: err.message });
+    }
+  });
+
+  // Look the nodes up on their server
+  const errors = new Map();
+  const groups = groupByClient(tags, resolveClient, errors);
+  errors.forEach((error, i) => {
+    Object.assign(results[i], { status: 'failed', error });
+    tags[i] = null;
+  });
+  for (const [client, indexes] of groups) {
+    let nodeClasses;
+    try {
+      nodeClasses = await readAttribute(client, indexes.map(i => tags[i].nodeId), 'NodeClass');
+    } catch (err) {
+      indexes.forEach(i => {
+        Object.assign(results[i], { status: 'failed', error: err.message });
+        tags[i] = null;
+      });
+      continue;
+    }
+    indexes.forEach((i, j) => {
+      if (!nodeClasses[j].success) {
+        Object.assign(results[i], { status: 'missing', error: nodeClasses[j].error });
+        if (nodeClasses[j].statusCode) {
+          results[i].statusCode = nodeClasses[j].statusCode;
+        }
+        tags[i] = null;
+      }
+    });
+  }
+
+  tags.forEach((tag, i) => {
+    if (tag) {
+      results[i].status = dryRun
+        ? (tagCatalog.tags.has(tag.name) ? 'updated' : 'created')
+        : tagCatalog.put(tag, overwrite);
+    }
+  });
+  const imported = tags.filter(tag => tag);
+  if (!dryRun && imported.length > 0) {
+    tagCatalog.save();
+  }
+
+  if (register && !dryRun) {
+    for (const [client, indexes] of groups) {
+      for (const i of indexes.filter(index => tags[index])) {
+        try {
+          let registeredId;
+          try {
+            registeredId = client.findRegisteredId(tags[i].nodeId);
+          } catch (err) {
+            registeredId = (await client.registerNode(tags[i].nodeId)).registeredId;
+          }
+          results[i].registeredId = registeredId;
+        } catch (err) {
+          results[i].registerError = err.message;
+        }
+      }
+    }
+  }
+
+  const missing = results.filter(result => result.status === 'missing');
+  const failed = results.filter(result => !['created', 'updated'].includes(result.status)).length;
+  logger.info(`Tag import${dryRun ? ' (dry run)' : ''}: ${rows.length} row(s), ${imported.length} imported, ${failed} failed, ${missing.length} missing`);
+
+  return {
+    success: true,
+    dryRun: dryRun,
+    results: results,
+    count: results.length,
+    imported: imported.length,
+    failed: failed,
+    missing: missing.map(result => result.nodeId)
+  };
+}
+
+module.exports = {
+  parseFormat,
+  toCSV,
+  parseCSV,
+  exportTree,
+  exportCatalog,
+  importTags
+};
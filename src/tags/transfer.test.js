@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const tagCatalog = require('./catalog');
+const { parseFormat, toCSV, parseCSV, importTags } = require('./transfer');
+
+test('parseFormat accepts json and csv', () => {
+  assert.strictEqual(parseFormat(), 'json');
+  assert.strictEqual(parseFormat('csv'), 'csv');
+  assert.throws(() => parseFormat('xml'), { status: 400 });
+});
+
+test('toCSV quotes fields and parseCSV reads them back', () => {
+  const row = { name: 'Motor.Speed', nodeId: 'ns=3;s="DB1"."Speed"', description: 'Speed, in rpm\nof motor 1', aliases: ['speed', 'm1_speed'], writable: true };
+  const csv = toCSV([row]);
+  assert.ok(csv.startsWith('name,nodeId,browsePath,'));
+  assert.ok(csv.includes('"ns=3;s=""DB1"".""Speed"""'));
+
+  assert.deepStrictEqual(parseCSV(csv), [{
+    name: 'Motor.Speed',
+    nodeId: 'ns=3;s="DB1"."Speed"',
+    description: 'Speed, in rpm\nof motor 1',
+    aliases: 'speed m1_speed',
+    writable: 'true'
+  }]);
+});
+
+test('cells that start a spreadsheet formula survive the round trip', () => {
+  const values = ['=SUM(A1:A2)', '+1', '-5', '@cmd', "'=quoted", 'plain'];
+  const csv = toCSV(values.map(value => ({ nodeId: 'ns=1;i=1', description: value })));
+  const cells = csv.split('\r\n').slice(1, -1).map(line => line.split(',')[6]);
+  assert.deepStrictEqual(cells, ["'=SUM(A1:A2)", "'+1", "'-5", "'@cmd", "''=quoted", 'plain']);
+  assert.deepStrictEqual(parseCSV(csv).map(row => row.description), values);
+});
+
+test('parseCSV needs a nodeId column and closed quotes', () => {
+  assert.throws(() => parseCSV('name,unit\r\nSpeed,rpm\r\n'), { status: 400 });
+  assert.throws(() => parseCSV(''), { status: 400 });
+  assert.throws(() => parseCSV('nodeId\r\n"ns=1;i=1\r\n'), { status: 400 });
+});
+
+test('parseCSV skips blank lines and accepts LF line ends and a last line without one', () => {
+  assert.deepStrictEqual(parseCSV(' name , nodeId \n\nA,ns=1;i=1\n,\nB,ns=1;i=2'), [
+    { name: 'A', nodeId: 'ns=1;i=1' },
+    { name: 'B', nodeId: 'ns=1;i=2' }
+  ]);
+});
+
+test('a dry run import reports invalid, duplicate, missing and new rows without changing the catalog', async () => {
+  const client = {
+    readMultiple: async (nodeIds) => ({
+      results: nodeIds.map(nodeId => (nodeId === 'ns=1;i=404'
+        ? { success: false, error: 'BadNodeIdUnknown', statusCode: 'BadNodeIdUnknown' }
+        : { success: true, value: 2 }))
+    })
+  };
+  const rows = parseCSV([
+    'name,nodeId,aliases,writable',
+    'Speed,ns=1;i=1,speed m1,true',
+    'Speed2,ns=1;i=2,m1,',
+    'Gone,ns=1;i=404,,',
+    '.bad,ns=1;i=3,,'
+  ].join('\r\n'));
+
+  const result = await importTags(rows, { resolveClient: () => client, dryRun: true, fromCSV: true });
+  assert.deepStrictEqual(result.results.map(row => row.status), ['created', 'invalid', 'missing', 'invalid']);
+  assert.match(result.results[1].error, /m1 is already used by row 1/);
+  assert.strictEqual(result.results[2].statusCode, 'BadNodeIdUnknown');
+  assert.deepStrictEqual(result.missing, ['ns=1;i=404']);
+  assert.strictEqual(result.imported, 1);
+  assert.strictEqual(result.failed, 3);
+  assert.strictEqual(tagCatalog.tags.size, 0);
+});
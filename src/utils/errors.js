@@ -0,0 +1,13 @@
+/**
+ * Error carrying an HTTP status code
+ * Routes and the Express error handler use `status` to pick the response code
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+module.exports = { ApiError };